@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/**
+ * Add a name alias (see identity.js)
+ *
+ * Tells every script and the dashboard that two spellings are the same
+ * horse, jockey or trainer, e.g. after a fuzzy match was logged wrongly or
+ * a result failed to match a pick.
+ *
+ * Usage:
+ *   node add-alias.js horse "Magic Boxx" "Magic Box"
+ *   node add-alias.js jockey "Paddy Mcdonald" "P J McDonald"
+ */
+
+'use strict';
+
+const { addAlias, key, ALIAS_FILE } = require('./identity');
+
+(function main() {
+  const [kind, from, to] = process.argv.slice(2);
+  if (!kind || !from || !to) {
+    console.error('Usage: node add-alias.js <horse|jockey|trainer> "<name as written>" "<canonical name>"');
+    process.exit(1);
+  }
+  try {
+    addAlias(kind, from, to);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  console.log(`${kind}: "${from}" → "${to}" (key "${key(kind, from)}") saved to ${ALIAS_FILE}`);
+})();
@@ -1,26 +1,81 @@
 #!/usr/bin/env node
 /**
- * Analyze Betfair racecards with Perplexity (Sonar)
+ * Analyze Betfair racecards with an LLM (Perplexity Sonar by default)
  * Input:  betfair-racecards-YYYY-MM-DD.json  (from your scraper; includes runners with J/T/Form/Odds)
  * Output: betfair-racecards-picks-YYYY-MM-DD.json
+ *
+ * Usage:
+ *   node analyze-betfair-racecards.js [input-file]
+ *     --provider perplexity|openai|ollama|llamacpp|mock
+ *     --model NAME  --temperature N  --max-tokens N  --base-url URL
+ *     --config FILE   (default llm.config.json; see llm-providers.js)
+ *     --no-cache      ignore cached responses in .llm-cache/ (see llm-cache.js)
+ *     --run-tokens N --run-cost N --month-tokens N --month-cost N
+ *                     budget caps (see llm-budget.js); races that don't fit are
+ *                     'skipped_budget', the most valuable races go first
+ *
+ *     --prompt ID[,ID…]  prompt template(s) from prompts/ (default handicapper.v1).
+ *                     Two or more run an A/B test over the same card: each
+ *                     variant goes to prompt-ab/DATE/<id>.json, the usage to
+ *                     prompt-ab/DATE/usage.json, and nothing is archived;
+ *                     compare with compare-prompts.js.
+ *
+ * Writes a usage summary next to each picks file (*.usage.json). Month budgets
+ * count the archived daily runs' summaries and the A/B runs'.
+ *
+ * A quota or auth error stops the run; races not yet sent stay 'pending'.
+ * Exit code: 0 every race analysed, 3 partial, 1 failed (no race analysed;
+ * nothing is archived to docs/ then).
  */
 
 'use strict';
 
 const fs = require('fs/promises');
 const path = require('path');
-const axios = require('axios');
+const fsSync = require('fs');
 require('dotenv').config();
+const { createProvider, resolveLLMConfig, classifyError, CLI_FLAGS } = require('./llm-providers');
+const {
+  resolveBudget, createBudget, priceFor, estimateUsage, raceValue,
+  usagePathFor, readUsage, mergeUsage, monthToDate, CURRENCY, LIMIT_FLAGS
+} = require('./llm-budget');
+const { parseProb } = require('./odds');
+const { formFeatures } = require('./form');
+const { matchHorse } = require('./identity');
+const { openResponseCache, cacheKey } = require('./llm-cache');
+const { loadPrompt, renderMessages, DEFAULT_PROMPT } = require('./prompt-templates');
+const { argValue, hasFlag, positionalArgs, picksPathFor } = require('./cli');
+const { todayISO } = require('./race-dates');
 
-const API_URL = 'https://api.perplexity.ai/chat/completions';
-const MODEL   = 'sonar-pro';       // web-grounded model
 const CONCURRENCY = 2;             // keep it gentle
-const MAX_TOKENS  = 800;
-const TEMPERATURE = 0.1;
+const MAX_ATTEMPTS = 3;
+const EXIT = { complete: 0, failed: 1, partial: 3 };
+const AB_DIR = 'prompt-ab';         // A/B runs: prompt-ab/DATE/<prompt id>.json
 
-const PPLX_KEY = process.env.PERPLEXITY_API_KEY || process.env.PPLX_API_KEY;
-if (!PPLX_KEY) {
-  console.error('Missing PERPLEXITY_API_KEY env var.');
+// race-level fields from the scraper that we pass to the model and carry into picks
+const RACE_FIELDS = ['declared_runners'];
+
+const args = process.argv.slice(2);
+
+function loadLLMConfigFile() {
+  const given = argValue('config', args);
+  if (hasFlag('config', args) && !(given && fsSync.existsSync(given))) {
+    console.error(`LLM config not found: ${given || '(--config needs a file)'}`);
+    process.exit(1);
+  }
+  const file = given || 'llm.config.json';
+  if (!fsSync.existsSync(file)) return null;
+  return JSON.parse(fsSync.readFileSync(file, 'utf8'));
+}
+
+let llm, llmConfig, llmFile, limits;
+try {
+  llmFile = loadLLMConfigFile();
+  llmConfig = resolveLLMConfig({ args, env: process.env, file: llmFile });
+  llm = createProvider(llmConfig);
+  limits = resolveBudget({ args, file: llmFile });
+} catch (e) {
+  console.error(e.message);
   process.exit(1);
 }
 
@@ -28,13 +83,14 @@ if (!PPLX_KEY) {
 
 const sleep = ms => new Promise(r => setTimeout(r, ms));
 
-const todayISO = () => {
-  const d = new Date(), p = n => String(n).padStart(2, '0');
-  return `${d.getFullYear()}-${p(d.getMonth()+1)}-${p(d.getDate())}`;
-};
-
 const defaultInputFile = `betfair-racecards-${todayISO()}.json`;
-const inputFile = process.argv[2] || defaultInputFile;
+const inputFile = positionalArgs(args, [...CLI_FLAGS, ...LIMIT_FLAGS, 'prompt'])[0] || defaultInputFile;
+const cache = args.includes('--no-cache') ? null : openResponseCache();
+const promptIds = (argValue('prompt', args) || DEFAULT_PROMPT).split(',').map(s => s.trim()).filter(Boolean);
+
+const raceMeta = race => Object.fromEntries(
+  RACE_FIELDS.filter(k => race[k] != null).map(k => [k, race[k]])
+);
 
 // Tiny promise pool (like in your scraper)
 async function mapPool(items, limit, fn) {
@@ -59,39 +115,31 @@ async function mapPool(items, limit, fn) {
   });
 }
 
-async function callPerplexity(messages) {
-  const body = {
-    model: MODEL,                   // "sonar-pro"
-    messages,                       // system + user
-    max_tokens: MAX_TOKENS,         // 800
-    temperature: TEMPERATURE,       // 0.1
-    // remove response_format — this was causing 400
-    // optional steering (harmless if ignored):
-    return_citations: false,
-    // Helps keep it on Betfair when it browses:
-    // search_domain_filter: ["betting.betfair.com"]
-  };
-
-  const headers = {
-    Authorization: `Bearer ${PPLX_KEY}`,
-    'Content-Type': 'application/json'
-  };
+async function callLLM(messages) {
+  const { content, usage, raw } = await llm.complete(messages);
+  // Try strict parse. If that fails, try to salvage the first JSON object.
+  const parsed = tryParseJSON(content);
+  return { parsed, usage, api: raw, raw: content };
+}
 
-  try {
-    const res = await axios.post(API_URL, body, { headers, timeout: 60000 });
-    const content = res?.data?.choices?.[0]?.message?.content || '';
-
-    // Try strict parse. If that fails, try to salvage the first JSON object.
-    const parsed = tryParseJSON(content);
-    return { parsed, api: res.data, raw: content };
-  } catch (e) {
-    // Surface Perplexity’s error details so you can see why it’s 400
-    const status = e?.response?.status;
-    const data = e?.response?.data;
-    const msg = e?.message || String(e);
-    const detail = typeof data === 'object' ? JSON.stringify(data) : String(data || '');
-    throw new Error(`${msg}${detail ? ` | body: ${detail}` : ''}${status ? ` | status: ${status}` : ''}`);
+// win_prob / place_prob when the model gave valid 0..1 numbers; names of
+// picks with an out-of-range or non-numeric value are pushed onto `bad`
+function probFields(item, bad) {
+  const out = {};
+  for (const key of ['win_prob', 'place_prob']) {
+    if (item[key] == null) continue;
+    const p = parseProb(item[key]);
+    if (p == null) bad.push(`${item.name}: ${key}=${JSON.stringify(item[key])}`);
+    else out[key] = p;
   }
+  return out;
+}
+
+// complete | partial | failed, from the per-race _status values
+function runStatus(races) {
+  const ok = races.filter(r => r._status === 'ok').length;
+  if (races.length && ok === races.length) return 'complete';
+  return ok ? 'partial' : 'failed';
 }
 
 function tryParseJSON(text) {
@@ -119,17 +167,7 @@ function tryParseJSON(text) {
   return { _raw: text };
 }
 
-function buildMessages(race) {
-  const system = {
-    role: 'system',
-    content: [
-      'You are a professional horse racing analyst.',
-      'Return only valid JSON matching the requested shape.',
-      'Use current odds and form logic. Exclude longshots.',
-      'Use the supplied race URL for context (web is enabled).'
-    ].join(' ')
-  };
-
+function buildMessages(race, prompt) {
   const schema = {
     type: 'object',
     properties: {
@@ -153,9 +191,11 @@ function buildMessages(race) {
             form:       { type: 'string' },
             odds_note:  { type: 'string' },
             rationale:  { type: 'string' },
-            confidence: { type: 'string' }
+            confidence: { type: 'string' },
+            win_prob:   { type: 'number', minimum: 0, maximum: 1 },
+            place_prob: { type: 'number', minimum: 0, maximum: 1 }
           },
-          required: ['name', 'rationale']
+          required: ['name', 'rationale', 'win_prob']
         },
         minItems: 1
       }
@@ -164,76 +204,95 @@ function buildMessages(race) {
     additionalProperties: false
   };
 
-  const user = {
-    role: 'user',
-    content: [
-      'Given the following race JSON (course, time, url, runners with name, jockey, trainer, recent form "F", and odds), analyze the field as a professional.',
-      'Rules:',
-      '- Research each runner using the provided details and the race URL.',
-      '- Exclude outsiders/longshots by current exchange/bookmaker odds.',
-      '- From remaining runners, return ONLY your strongest potential winners with brief justifications (form, odds value, connections).',
-      '- Do NOT include horses needing major improvement.',
-      '',
-      'Return strict JSON only, matching this shape:',
-      JSON.stringify(schema, null, 2),
-      '',
-      'Race JSON:',
-      JSON.stringify({
-        race: { course: race.course, time: race.time, url: race.url },
-        runners: race.runners
-      }, null, 2)
-    ].join('\n')
-  };
-
-  return [system, user];
+  return renderMessages(prompt, {
+    schema: JSON.stringify(schema, null, 2),
+    race: JSON.stringify({
+      race: { course: race.course, time: race.time, url: race.url, ...raceMeta(race) },
+      runners: race.runners.filter(r => !r.non_runner).map(r => ({
+        ...r,
+        form_stats: formFeatures(r.form)
+      }))
+    }, null, 2)
+  });
 }
 
-// ---------- main ------------------------------------------------------------
-
-(async () => {
-  // Load input
-  const inputPath = path.resolve(process.cwd(), inputFile);
-  const raw = await fs.readFile(inputPath, 'utf8').catch(() => null);
-  if (!raw) {
-    console.error(`Input not found: ${inputPath}`);
-    process.exit(1);
-  }
-  const input = JSON.parse(raw);
-  const races = (input.races || []).map(r => {
-    if (Array.isArray(r.runners) && typeof r.runners[0] === 'string') {
-      r.runners = r.runners.map(name => ({ name, jockey: '', trainer: '', form: '', odds: {} }));
-    }
-    return r;
-  });
+// ---------- one prompt over the card ---------------------------------------
 
+/**
+ * Analyse every race with one prompt template. `run` is shared by all the
+ * prompt variants of an invocation: budget, call count and the fatal-error
+ * breaker.
+ */
+async function analyseCard(races, date, prompt, run) {
   const out = {
-    date: input.date || todayISO(),
-    model: MODEL,
+    date,
+    provider: llm.name,
+    model: llm.model,
+    prompt: prompt.id,
     generated_at: new Date().toISOString(),
-    races: races.map(r => ({ course: r.course, time: r.time, url: r.url, shortlist: [], _status: 'pending' }))
+    races: races.map(r => ({
+      course: r.course, time: r.time, url: r.url, ...raceMeta(r),
+      provider: llm.name, model: llm.model, prompt: prompt.id, shortlist: [], _status: 'pending'
+    }))
   };
+  const { budget } = run;
+  let cached = 0;
+
+  const plan = [];
+  for (const [idx, race] of races.entries()) {
+    const messages = buildMessages(race, prompt);
+    const key = cacheKey(llmConfig, messages);
+    plan.push({ race, idx, messages, key, hit: cache && await cache.get(key), estimate: estimateUsage(messages, llmConfig.max_tokens) });
+  }
+  // not enough budget for the whole card: best races first
+  if (!budget.fits(plan.filter(p => !p.hit).map(p => p.estimate))) {
+    plan.sort((a, b) => raceValue(b.race) - raceValue(a.race) || a.idx - b.idx);
+    console.warn(`⚠️ [${prompt.id}] Budget won't cover every race; analysing the most valuable first.`);
+  }
 
   // Do the calls with limited concurrency
-  await mapPool(races, CONCURRENCY, async (race, idx) => {
+  await mapPool(plan, CONCURRENCY, async ({ race, idx, messages, key, hit, estimate }) => {
     const target = out.races[idx];
-    const messages = buildMessages(race);
+    if (run.fatal) return;                     // left 'pending' for the rerun
 
     let attempt = 0;
-    while (attempt < 3) {
+    while (attempt < MAX_ATTEMPTS && !run.fatal) {
+      if (!hit && !budget.reserve(estimate)) {
+        target._status = 'skipped_budget';
+        break;
+      }
       try {
-        const { parsed, api } = await callPerplexity(messages);
+        let parsed, usage, raw;
+        if (hit) {
+          ({ parsed, usage, raw } = { parsed: tryParseJSON(hit.content), usage: hit.usage, raw: hit.content });
+        } else {
+          run.calls++;
+          try { ({ parsed, usage, raw } = await callLLM(messages)); }
+          catch (e) { budget.settle(estimate, null); throw e; }
+          budget.settle(estimate, usage || estimate);
+        }
         if (parsed && parsed.shortlist && Array.isArray(parsed.shortlist)) {
-          target.shortlist = parsed.shortlist.map(item => ({
-            name: item.name,
-            jockey: item.jockey || race.runners.find(r => r.name === item.name)?.jockey || '',
-            trainer: item.trainer || race.runners.find(r => r.name === item.name)?.trainer || '',
-            form: item.form || race.runners.find(r => r.name === item.name)?.form || '',
-            odds_note: item.odds_note || '',
-            rationale: item.rationale || '',
-            confidence: item.confidence || ''
-          }));
+          const badProb = [];
+          target.shortlist = parsed.shortlist.map(item => {
+            // the model may drop or restyle a country suffix: "Magic Box" for "Magic Box (IRE)"
+            const runner = matchHorse(item.name, race.runners, `${race.course} ${race.time}`);
+            return {
+              name: item.name,
+              jockey: item.jockey || runner?.jockey || '',
+              trainer: item.trainer || runner?.trainer || '',
+              form: item.form || runner?.form || '',
+              odds_note: item.odds_note || '',
+              rationale: item.rationale || '',
+              confidence: item.confidence || '',
+              ...probFields(item, badProb),
+              method: 'llm'
+            };
+          });
+          if (badProb.length) target._invalid_prob = badProb;
           target._status = 'ok';
-          target._usage = api?.usage || undefined;
+          target._usage = usage || undefined;
+          if (hit) { target._cached = true; cached++; }
+          else if (cache) await cache.put(key, { provider: llm.name, model: llm.model, content: raw, usage });
           break;
         } else {
           target._status = 'bad_json';
@@ -242,31 +301,117 @@ function buildMessages(race) {
         }
       } catch (e) {
         attempt++;
-        const code = e?.response?.status || 0;
-        if (code === 429 || code >= 500) {
-          await sleep(1000 * attempt);
+        const err = classifyError(e);
+        target._status = `error_${err.kind}`;
+        target._error = e?.message || String(e);
+        if (err.fatal) {
+          run.fatal = run.fatal || { kind: err.kind, status: err.status, message: target._error };
+          console.error(`⛔ ${llm.name} ${err.kind} error on ${race.course} ${race.time} — stopping the run.`);
+          break;
+        }
+        if (err.retry && attempt < MAX_ATTEMPTS) {
+          await sleep(1000 * attempt * (err.kind === 'rate_limit' ? 5 : 1));
           continue;
         }
-        target._status = `error_${code || 'unknown'}`;
-        target._error = e?.message || String(e);
         break;
       }
     }
   });
 
-const outFile = `betfair-racecards-picks-${out.date}.json`;
-await fs.writeFile(outFile, JSON.stringify(out, null, 2), 'utf8');
-console.log(`Saved picks → ${outFile}`);
-
-// also pre-archive same file to docs/picks/YYYY/MM/YYYY-MM-DD.json
-const d = new Date(out.date);
-const Y = d.getFullYear();
-const M = String(d.getMonth() + 1).padStart(2, '0');
-const archiveDir = path.join('docs', 'picks', Y.toString(), M);
-await fs.mkdir(archiveDir, { recursive: true });
-const archiveFile = path.join(archiveDir, `${out.date}.json`);
-await fs.writeFile(archiveFile, JSON.stringify(out, null, 2), 'utf8');
-console.log(`📦 Archived initial (full) picks to ${archiveFile}`);
+  out.status = runStatus(out.races);
+  if (run.fatal) out.aborted = run.fatal;
+  const counts = out.races.reduce((m, r) => (m[r._status] = (m[r._status] || 0) + 1, m), {});
+  console.log(`Analysis ${out.status} [${prompt.id}]: ${Object.entries(counts).map(([k, v]) => `${k} ${v}`).join(', ')}${cached ? ` (${cached} from cache)` : ''}`);
+  return { out, counts, cached };
+}
+
+// ---------- main ------------------------------------------------------------
+
+(async () => {
+  // Load input
+  const inputPath = path.resolve(process.cwd(), inputFile);
+  const raw = await fs.readFile(inputPath, 'utf8').catch(() => null);
+  if (!raw) {
+    console.error(`Input not found: ${inputPath}`);
+    process.exit(1);
+  }
+  const input = JSON.parse(raw);
+  const races = (input.races || []).map(r => {
+    if (Array.isArray(r.runners) && typeof r.runners[0] === 'string') {
+      r.runners = r.runners.map(name => ({ name, jockey: '', trainer: '', form: '', odds: {} }));
+    }
+    return r;
+  });
+  const date = input.date || todayISO();
+
+  // one prompt = the daily run; several = an A/B run written to prompt-ab/DATE/
+  const prompts = promptIds.map(id => loadPrompt(id));
+  const abRun = prompts.length > 1;
+
+  const archiveFile = picksPathFor(date);
+
+  const archiveUsageFile = usagePathFor(archiveFile);
+  const abUsageFile = path.join(AB_DIR, date, 'usage.json');
+  const usageFile = abRun ? abUsageFile : archiveUsageFile;
+
+  // month spend = every summary so far, earlier runs today (daily and A/B) included
+  const earlierToday = await readUsage(usageFile);
+  const monthSpent = await monthToDate(date);
+  const price = priceFor(llmConfig, llmFile?.prices);
+  const run = { budget: createBudget({ limits, price, monthSpent }), calls: 0, fatal: null };
+
+  const variants = [];
+  for (const prompt of prompts) variants.push(await analyseCard(races, date, prompt, run));
+
+  const { budget, fatal } = run;
+  const sum = key => variants.reduce((n, v) => n + (v.counts[key] || 0), 0);
+  const usage = mergeUsage(earlierToday, {
+    date,
+    generated_at: new Date().toISOString(),
+    provider: llm.name,
+    model: llm.model,
+    prompts: prompts.map(p => p.id),
+    currency: llmFile?.currency || CURRENCY,
+    status: variants.map(v => v.out.status).sort((a, b) => EXIT[b] - EXIT[a])[0],
+    races: { total: races.length * prompts.length, analysed: sum('ok'), cached: variants.reduce((n, v) => n + v.cached, 0), skipped_budget: sum('skipped_budget') },
+    calls: run.calls,
+    tokens: { prompt: budget.spent.prompt, completion: budget.spent.completion, total: budget.spent.tokens },
+    cost: +budget.spent.cost.toFixed(4),
+    budget: limits,
+    month_to_date: { tokens: monthSpent.tokens + budget.spent.tokens, cost: +(monthSpent.cost + budget.spent.cost).toFixed(4) }
+  });
+  console.log(`Usage: ${run.calls} calls, ${budget.spent.tokens} tokens, ~${budget.spent.cost.toFixed(2)} ${usage.currency} (month to date ~${usage.month_to_date.cost.toFixed(2)})`);
+
+  // the month's spend is read back from these summaries, so record it even on a failed run
+  await fs.mkdir(path.dirname(usageFile), { recursive: true });
+  await fs.writeFile(usageFile, JSON.stringify(usage, null, 2), 'utf8');
+
+  if (abRun) {
+    for (const { out } of variants) {
+      const file = path.join(AB_DIR, date, `${out.prompt}.json`);
+      await fs.writeFile(file, JSON.stringify(out, null, 2), 'utf8');
+      console.log(`Saved ${out.prompt} picks → ${file}`);
+    }
+    process.exitCode = EXIT[usage.status];
+    return;
+  }
+
+  const { out } = variants[0];
+  const outFile = `betfair-racecards-picks-${out.date}.json`;
+  await fs.writeFile(outFile, JSON.stringify(out, null, 2), 'utf8');
+  await fs.writeFile(usagePathFor(outFile), JSON.stringify(usage, null, 2), 'utf8');
+  console.log(`Saved picks → ${outFile}`);
+
+  // nothing usable: keep the file for a rerun but don't publish an empty day
+  if (out.status === 'failed') {
+    console.error(`Analysis failed${fatal ? ` (${fatal.kind})` : ''}; not archiving.`);
+    process.exit(EXIT.failed);
+  }
+
+  // also pre-archive same file to docs/picks/YYYY/MM/YYYY-MM-DD.json
+  await fs.writeFile(archiveFile, JSON.stringify(out, null, 2), 'utf8');
+  console.log(`📦 Archived initial (full) picks to ${archiveFile}`);
+  process.exitCode = EXIT[out.status];
 })().catch(err => {
   console.error('FAILED:', err?.message || err);
   process.exit(1);
@@ -54,11 +54,19 @@ function buildIndex(root) {
   const dstDir = path.join('docs', 'picks', yyyy, mm);
   ensureDir(dstDir);
   const dstFile = path.join(dstDir, `${yyyy}-${mm}-${dd}.json`);
-  fs.writeFileSync(dstFile, JSON.stringify(data, null, 2));
+
+  // select-top3.js already archived the filtered, staked picks for this day:
+  // keep those rather than overwrite them with the raw analysis
+  let published = data;
+  try {
+    const existing = JSON.parse(fs.readFileSync(dstFile, 'utf8'));
+    if (existing.strategy && existing.date === data.date) published = existing;
+  } catch {}
+  fs.writeFileSync(dstFile, JSON.stringify(published, null, 2));
 
   // also keep docs/latest.json up to date
   ensureDir('docs');
-  fs.writeFileSync(path.join('docs', 'latest.json'), JSON.stringify(data, null, 2));
+  fs.writeFileSync(path.join('docs', 'latest.json'), JSON.stringify(published, null, 2));
 
   // rebuild index
   const idx = buildIndex(path.join('docs', 'picks'));
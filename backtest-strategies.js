@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Backtest selection strategies on the archive (see backtest.js)
+ *
+ * Reruns strategy configurations over the unfiltered shortlists in the
+ * repo root (betfair-racecards-picks-DATE.json) and settles them against
+ * docs/results/, with no network access. Prints each day's picks, hits and
+ * P/L per configuration, then a side-by-side summary.
+ *
+ * Usage:
+ *   node backtest-strategies.js [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *     --strategy a,b       strategies from strategies.json (default: all)
+ *     --config A.json,B.json
+ *                          also every strategy in these files (same format as
+ *                          strategies.json), labelled file:name
+ *     --basis advised|exchange|sp   price basis (default advised)
+ *     --quiet              summary only, no per-day lines
+ *     --json FILE          write the full backtest as JSON too
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadStrategies, stakingFor, DEFAULT_FILE } = require('./strategies');
+const { backtestStrategy } = require('./backtest');
+const { BASES } = require('./settlement');
+const { loadCalibration } = require('./calibration');
+const { argValue, readJSON, resultsFor } = require('./cli');
+
+const PICKS_RE = /^betfair-racecards-picks-(\d{4}-\d{2}-\d{2})\.json$/;
+
+const list = v => (v ? v.split(',').map(s => s.trim()).filter(Boolean) : []);
+
+// [{ label, strategy, plan, calibration }] from the default config and any --config files
+function configurations() {
+  const base = loadStrategies(DEFAULT_FILE);
+  const names = list(argValue('strategy'));
+  const unknown = names.filter(n => !base.strategies[n]);
+  if (unknown.length) throw new Error(`Unknown strategy: ${unknown.join(', ')}. Defined: ${Object.keys(base.strategies).join(', ')}`);
+  const out = (names.length ? names : Object.keys(base.strategies))
+    .map(name => ({ label: name, strategy: base.strategies[name], plan: stakingFor(base, name) }));
+  for (const file of list(argValue('config'))) {
+    const config = loadStrategies(path.resolve(file));
+    const prefix = path.basename(file, '.json');
+    for (const name of Object.keys(config.strategies)) {
+      out.push({ label: `${prefix}:${name}`, strategy: config.strategies[name], plan: stakingFor(config, name) });
+    }
+  }
+  for (const c of out) c.calibration = c.strategy.calibration ? loadCalibration(c.strategy.calibration) : null;
+  return out;
+}
+
+(function main() {
+  const from = argValue('from') || '0000-00-00';
+  const to = argValue('to') || '9999-99-99';
+  const basis = argValue('basis') || 'advised';
+  if (!BASES.includes(basis)) {
+    console.error(`--basis must be one of ${BASES.join(', ')}`);
+    process.exit(1);
+  }
+  let configs;
+  try { configs = configurations(); }
+  catch (e) { console.error(e.message); process.exit(1); }
+
+  // shortlists with a results file, oldest first
+  const days = fs.readdirSync('.')
+    .map(f => f.match(PICKS_RE)).filter(Boolean)
+    .map(m => ({ date: m[1], file: m[0] }))
+    .filter(d => d.date >= from && d.date <= to)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(d => ({ date: d.date, data: readJSON(d.file), racecards: readJSON(`betfair-racecards-${d.date}.json`), results: resultsFor(d.date) }))
+    .filter(d => d.data && d.results);
+  if (!days.length) {
+    console.error(`No shortlists with results between ${from} and ${to}.`);
+    process.exit(1);
+  }
+
+  const runs = configs.map(c => ({ label: c.label, ...backtestStrategy(days, c.strategy, c.plan, { basis, calibration: c.calibration }) }));
+  const signed = x => `${x >= 0 ? '+' : ''}${x.toFixed(2)}`;
+
+  if (!process.argv.includes('--quiet')) {
+    for (const run of runs) {
+      console.log(`\n[${run.label}]`);
+      for (const d of run.days) {
+        console.log(`${d.date}  ${String(d.picks).padStart(3)} picks in ${String(d.races).padStart(2)} races  hits ${String(d.hits).padStart(2)}  staked ${d.staked.toFixed(2).padStart(7)}  P/L ${signed(d.pnl).padStart(8)}  bank ${d.bank.toFixed(2)}${d.pending ? `  (${d.pending} pending)` : ''}`);
+      }
+    }
+  }
+
+  console.log(`\n${days[0].date} to ${days[days.length - 1].date}, ${days.length} days, ${basis} prices`);
+  const width = Math.max(...runs.map(r => r.label.length), 8);
+  console.log(`${'strategy'.padEnd(width)}  picks   hits  hit rate    staked       P/L     ROI  max drawdown`);
+  for (const { label, summary: s } of runs) {
+    const pct = x => (x == null ? '  n/a' : `${(x * 100).toFixed(1)}%`);
+    console.log(`${label.padEnd(width)}  ${String(s.picks).padStart(5)}  ${String(s.hits).padStart(5)}  ${pct(s.hit_rate).padStart(8)}  ${s.staked.toFixed(2).padStart(8)}  ${signed(s.pnl).padStart(8)}  ${pct(s.roi).padStart(6)}  ${pct(s.max_drawdown).padStart(12)}`);
+  }
+
+  const jsonFile = argValue('json');
+  if (jsonFile) {
+    fs.mkdirSync(path.dirname(path.resolve(jsonFile)), { recursive: true });
+    fs.writeFileSync(jsonFile, JSON.stringify({ generated_at: new Date().toISOString(), basis, from: days[0].date, to: days[days.length - 1].date, runs }, null, 2));
+    console.log(`Saved → ${jsonFile}`);
+  }
+})();
@@ -0,0 +1,72 @@
+// backtest.js
+// Replays selection strategies (strategies.js) over archived shortlists and
+// settles the picks they would have made against docs/results, offline.
+//
+// A day: { date, data, racecards, results }, where data is the unfiltered
+// analyser output (betfair-racecards-picks-DATE.json), racecards the day's
+// card when kept (for fair market probabilities) and results its
+// docs/results file.
+//
+// Each strategy runs as it would have live: picks staked by its plan from a
+// running bank (staking.js), settled by settlement.js on one price basis;
+// `calibration` is the strategy's loaded recalibration mapping, if it has one.
+// Per day → { date, races, picks, hits, wins, staked, pnl, bank, pending }
+// where hits are races with a winning pick and wins are winning bets.
+
+'use strict';
+
+const { applyStrategy } = require('./strategies');
+const { stakeDay } = require('./staking');
+const { settleDay } = require('./settlement');
+
+const round = (x, d = 2) => +x.toFixed(d);
+
+function backtestStrategy(days, strategy, plan, { basis = 'advised', calibration = null } = {}) {
+  let bank = plan.bank, peak = plan.bank, maxDrawdown = 0;
+  const out = [];
+  for (const day of days) {
+    const { races } = applyStrategy(day.data, strategy, { racecards: day.racecards, calibration });
+    stakeDay(races, plan, bank);
+    const ledger = settleDay({ date: day.date, races }, day.results, plan);
+    const t = ledger.totals[basis];
+    const won = ledger.bets.filter(b => b.status === 'won');
+    const hitRaces = new Set(won.map(b => `${b.course}||${b.time}`));
+    bank += t.pnl;
+    peak = Math.max(peak, bank);
+    if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - bank) / peak);
+    out.push({
+      date: day.date,
+      races: races.length,
+      picks: races.reduce((a, r) => a + r.shortlist.length, 0),
+      hits: hitRaces.size,
+      wins: won.length,
+      bets: t.bets,
+      staked: t.staked,
+      pnl: t.pnl,
+      bank: round(bank),
+      pending: ledger.pending
+    });
+  }
+  const sum = k => out.reduce((a, d) => a + d[k], 0);
+  const staked = sum('staked'), pnl = sum('pnl');
+  return {
+    summary: {
+      days: out.length,
+      races: sum('races'),
+      picks: sum('picks'),
+      hits: sum('hits'),
+      hit_rate: sum('races') ? round(sum('hits') / sum('races'), 3) : null,
+      bets: sum('bets'),
+      wins: sum('wins'),
+      staked: round(staked),
+      pnl: round(pnl),
+      roi: staked ? round(pnl / staked, 4) : null,
+      start_bank: plan.bank,
+      bank: round(bank),
+      max_drawdown: round(maxDrawdown, 4)
+    },
+    days: out
+  };
+}
+
+module.exports = { backtestStrategy };
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Running bankroll (see staking.js)
+ *
+ * Reads the settlement ledger of every settled day (settle.js) and writes
+ * the bank after each day at the advised price, with its peak and drawdown,
+ * plus overall growth and max drawdown.
+ *
+ * Usage:
+ *   node bankroll.js                   docs/ledger → docs/bankroll.json
+ *   node bankroll.js --strategy value  docs/strategies/value/ledger → docs/strategies/value/bankroll.json
+ *   node bankroll.js --all             the archive and every strategy
+ *   --strategies FILE                  strategy config (default strategies.json)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadStrategies, stakingFor, DEFAULT_FILE } = require('./strategies');
+const { buildBankroll, bankrollPath } = require('./staking');
+const { ledgerSummary, ledgerRoot, archivedDays } = require('./settlement');
+const { argValue, readJSON } = require('./cli');
+
+function writeBankroll(label, plan, strategy) {
+  const days = archivedDays(ledgerRoot(strategy)).map(d => readJSON(d.file)).filter(Boolean).map(l => ledgerSummary(l));
+  const outFile = bankrollPath(strategy);
+  const bankroll = { generated_at: new Date().toISOString(), label, plan: plan.plan, ...buildBankroll(days, plan.bank) };
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, JSON.stringify(bankroll, null, 2));
+  const pct = x => `${(x * 100).toFixed(1)}%`;
+  console.log(`${label}: ${days.length} settled days, bank ${bankroll.start_bank} → ${bankroll.bank} (${pct(bankroll.growth)}), max drawdown ${pct(bankroll.max_drawdown)} → ${outFile}`);
+}
+
+(function main() {
+  const config = loadStrategies(argValue('strategies') || DEFAULT_FILE);
+  const only = argValue('strategy');
+  if (only && !config.strategies[only]) {
+    console.error(`Unknown strategy: ${only}. Defined: ${Object.keys(config.strategies).join(', ')}`);
+    process.exit(1);
+  }
+
+  const all = process.argv.includes('--all');
+  if (!only || all) writeBankroll('archive', stakingFor(config, config.primary), null);
+  const names = all ? Object.keys(config.strategies) : only ? [only] : [];
+  for (const name of names) {
+    writeBankroll(name, stakingFor(config, name), name);
+  }
+})();
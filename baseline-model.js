@@ -0,0 +1,117 @@
+// baseline-model.js
+// Deterministic, no-LLM runner scoring straight from the scraped racecard.
+// Used when the LLM is unavailable, and as the yardstick the AI picks have
+// to beat.
+//
+// Each runner gets four components in 0..1, combined with WEIGHTS:
+//   market       rank in the exchange (else SBK) market, favourite = 1
+//   price_gap    exchange shorter than SBK = money for it on the exchange
+//   form         recent finishing positions, newest weighted most
+//   connections  jockey and trainer both named on the card
+//
+// baselineShortlist() returns picks in the same shape as the LLM shortlist,
+// with method: 'baseline' and the score breakdown.
+
+'use strict';
+
+const { toDec } = require('./odds');
+const { recentRuns } = require('./form');
+
+const METHOD = 'baseline';
+const MODEL = 'baseline-v1';
+
+const WEIGHTS = { market: 0.5, price_gap: 0.15, form: 0.25, connections: 0.1 };
+
+// points for a finishing position in the form string ('0' = 10th or worse)
+const POSITION_POINTS = { 1: 1, 2: 0.7, 3: 0.5, 4: 0.3 };
+const FORM_RUNS = 4;
+
+const exchangeDec = r => toDec(r.odds?.exchange ?? r.odds?.exc);
+const sbkDec = r => toDec(r.odds?.sbk);
+const marketDec = r => exchangeDec(r) || sbkDec(r) || null;
+
+// last FORM_RUNS runs, newest (rightmost) weighted most; falls, pull-ups etc.
+// score nothing; no runs → neutral 0.3
+function formScore(form) {
+  const runs = recentRuns(form, FORM_RUNS);
+  if (!runs.length) return 0.3;
+  let total = 0, weights = 0;
+  runs.forEach((run, i) => {
+    const w = i + 1;
+    total += w * (POSITION_POINTS[run.pos] || 0);
+    weights += w;
+  });
+  return total / weights;
+}
+
+// sbk / exchange - 1, mapped from [-0.5, 0.5] onto [0, 1]; 0.5 when unknown
+function priceGapScore(r) {
+  const exc = exchangeDec(r), sbk = sbkDec(r);
+  if (!exc || !sbk) return 0.5;
+  const gap = Math.max(-0.5, Math.min(0.5, sbk / exc - 1));
+  return gap + 0.5;
+}
+
+/**
+ * Score every declared runner in a race, best first.
+ * → [{ runner, score, market_rank, components }]
+ */
+function scoreRunners(race) {
+  const field = (race.runners || []).filter(r => !r.non_runner);
+  const priced = field.filter(marketDec).sort((a, b) => marketDec(a) - marketDec(b));
+  const rankOf = new Map(priced.map((r, i) => [r, i + 1]));
+  const n = field.length;
+
+  return field
+    .map((runner, idx) => {
+      const rank = rankOf.get(runner) || null;
+      const components = {
+        market: rank ? (n > 1 ? 1 - (rank - 1) / (n - 1) : 1) : 0,
+        price_gap: priceGapScore(runner),
+        form: formScore(runner.form),
+        connections: (runner.jockey ? 0.5 : 0) + (runner.trainer ? 0.5 : 0)
+      };
+      const score = Object.entries(WEIGHTS).reduce((s, [k, w]) => s + w * components[k], 0);
+      return { runner, idx, score: +score.toFixed(4), market_rank: rank, components };
+    })
+    .sort((a, b) => b.score - a.score || a.idx - b.idx)
+    .map(({ idx, ...rest }) => rest);
+}
+
+function oddsNote(r) {
+  const parts = [];
+  if (r.odds?.sbk) parts.push(`${r.odds.sbk} SBK`);
+  const exc = r.odds?.exchange ?? r.odds?.exc;
+  if (exc) parts.push(`${exc} exchange`);
+  return parts.join(', ');
+}
+
+function rationale({ market_rank, components }) {
+  const bits = [];
+  if (market_rank) bits.push(market_rank === 1 ? 'market favourite' : `#${market_rank} in the market`);
+  if (components.price_gap > 0.6) bits.push('shorter on the exchange than SBK');
+  if (components.form >= 0.6) bits.push('strong recent form');
+  else if (components.form <= 0.1) bits.push('little recent form');
+  return `Baseline score: ${bits.join(', ') || 'best of a weak field'}.`;
+}
+
+// Same shape as an analyser shortlist item, plus method and score breakdown.
+function baselineShortlist(race, { max = 3 } = {}) {
+  return scoreRunners(race)
+    .filter(s => s.market_rank)          // never pick an unpriced runner
+    .slice(0, max)
+    .map(s => ({
+      name: s.runner.name,
+      jockey: s.runner.jockey || '',
+      trainer: s.runner.trainer || '',
+      form: s.runner.form || '',
+      odds_note: oddsNote(s.runner),
+      rationale: rationale(s),
+      confidence: s.score >= 0.7 ? 'High' : 'Medium',
+      method: METHOD,
+      baseline_score: s.score,
+      baseline_components: Object.fromEntries(Object.entries(s.components).map(([k, v]) => [k, +v.toFixed(3)]))
+    }));
+}
+
+module.exports = { scoreRunners, baselineShortlist, formScore, WEIGHTS, METHOD, MODEL };
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Baseline picks, no LLM (see baseline-model.js)
+ * Input:  betfair-racecards-YYYY-MM-DD.json
+ * Output: betfair-racecards-picks-YYYY-MM-DD.json, same shape as the analyser's,
+ *         also archived to docs/picks/YYYY/MM/YYYY-MM-DD.json
+ *
+ * Usage:
+ *   node baseline-picks.js [input-file] [--out FILE] [--max N]
+ *     --out FILE   write only FILE (e.g. to compare with the LLM picks); no archive
+ *     --max N      picks per race (default 3)
+ */
+
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const { baselineShortlist, METHOD, MODEL } = require('./baseline-model');
+const { todayISO } = require('./race-dates');
+const { argValue } = require('./cli');
+
+// race-level fields carried into picks, as in analyze-betfair-racecards.js
+const RACE_FIELDS = ['declared_runners'];
+
+(async () => {
+  const args = process.argv.slice(2);
+  const inputFile = args.find((a, i) => !a.startsWith('--') && !['--out', '--max'].includes(args[i - 1]))
+    || `betfair-racecards-${todayISO()}.json`;
+  const outArg = argValue('out');
+  const max = Number(argValue('max') || 3);
+
+  const raw = await fs.readFile(inputFile, 'utf8').catch(() => null);
+  if (!raw) {
+    console.error(`Input not found: ${path.resolve(inputFile)}`);
+    process.exit(1);
+  }
+  const input = JSON.parse(raw);
+
+  const out = {
+    date: input.date || todayISO(),
+    provider: METHOD,
+    model: MODEL,
+    generated_at: new Date().toISOString(),
+    races: (input.races || []).map(r => ({
+      course: r.course,
+      time: r.time,
+      url: r.url,
+      ...Object.fromEntries(RACE_FIELDS.filter(k => r[k] != null).map(k => [k, r[k]])),
+      provider: METHOD,
+      model: MODEL,
+      shortlist: baselineShortlist(r, { max }),
+      _status: 'ok'
+    }))
+  };
+  out.status = 'complete';
+
+  const picked = out.races.filter(r => r.shortlist.length).length;
+  const outFile = outArg || `betfair-racecards-picks-${out.date}.json`;
+  await fs.writeFile(outFile, JSON.stringify(out, null, 2), 'utf8');
+  console.log(`Saved baseline picks for ${picked}/${out.races.length} races → ${outFile}`);
+  if (outArg) return;
+
+  const [Y, M] = out.date.split('-');
+  const archiveDir = path.join('docs', 'picks', Y, M);
+  await fs.mkdir(archiveDir, { recursive: true });
+  const archiveFile = path.join(archiveDir, `${out.date}.json`);
+  await fs.writeFile(archiveFile, JSON.stringify(out, null, 2), 'utf8');
+  console.log(`📦 Archived baseline picks to ${archiveFile}`);
+})().catch(err => {
+  console.error('FAILED:', err?.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * Calibration of the win probabilities and confidence labels (see calibration.js)
+ *
+ * Scores every shortlisted pick in the repo-root shortlists
+ * (betfair-racecards-picks-DATE.json) with a strategy's probability model,
+ * as select-top3.js would publish it but before any EV, odds or per-race
+ * filter, and compares the predictions with docs/results: strike rate by
+ * confidence label and by probability bin, Brier score and log loss.
+ *
+ * Usage:
+ *   node calibrate.js [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *     --strategy NAME     whose weights and market method (default: the primary)
+ *     --bins N            probability bins (default 10)
+ *     --json FILE         report output (default docs/calibration.json)
+ *     --fit FILE          also fit a recalibration mapping and save it there;
+ *                         set "calibration": FILE on a strategy to apply it
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadStrategies, applyStrategy, DEFAULT_FILE } = require('./strategies');
+const { predictionRows, calibrationReport, fitRecalibration } = require('./calibration');
+const { argValue, readJSON, resultsFor } = require('./cli');
+
+const PICKS_RE = /^betfair-racecards-picks-(\d{4}-\d{2}-\d{2})\.json$/;
+
+function save(file, obj) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(obj, null, 2));
+}
+
+const pct = x => (x == null ? 'n/a' : `${(x * 100).toFixed(1)}%`);
+
+(function main() {
+  const from = argValue('from') || '0000-00-00';
+  const to = argValue('to') || '9999-99-99';
+  const bins = Number(argValue('bins') || 10);
+  if (!(Number.isInteger(bins) && bins > 1)) {
+    console.error('--bins must be a whole number above 1.');
+    process.exit(1);
+  }
+  const config = loadStrategies(DEFAULT_FILE);
+  const name = argValue('strategy') || config.primary;
+  if (!config.strategies[name]) {
+    console.error(`Unknown strategy: ${name}. Defined: ${Object.keys(config.strategies).join(', ')}`);
+    process.exit(1);
+  }
+  // the strategy's probability model with its filters off, and uncalibrated
+  const scoring = {
+    ...config.strategies[name],
+    min_ev: -Infinity, max_picks_per_race: null, max_picks_per_day: null,
+    odds: undefined, race_types: null, courses: null, combo_stakes: null
+  };
+
+  const days = fs.readdirSync('.')
+    .map(f => f.match(PICKS_RE)).filter(Boolean)
+    .map(m => ({ date: m[1], file: m[0] }))
+    .filter(d => d.date >= from && d.date <= to)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const rows = [];
+  for (const d of days) {
+    const data = readJSON(d.file);
+    const results = resultsFor(d.date);
+    if (!data || !results) continue;
+    const { races } = applyStrategy(data, scoring, { racecards: readJSON(`betfair-racecards-${d.date}.json`) });
+    rows.push(...predictionRows(d.date, races, results));
+  }
+  if (!rows.length) {
+    console.error(`No settled predictions between ${from} and ${to}.`);
+    process.exit(1);
+  }
+
+  const fitFile = argValue('fit');
+  const mapping = fitFile ? fitRecalibration(rows, { bins }) : null;
+  const report = calibrationReport(rows, { bins, mapping });
+  const dates = rows.map(r => r.date).sort();
+  report.meta = {
+    generated_at: new Date().toISOString(),
+    strategy: name,
+    from: dates[0],
+    to: dates[dates.length - 1],
+    days: new Set(dates).size,
+    bins
+  };
+
+  const o = report.overall;
+  console.log(`[${name}] ${report.meta.from} to ${report.meta.to}: ${o.n} predictions over ${report.meta.days} days, ${o.wins} winners`);
+  console.log(`Brier ${o.brier} (base rate alone ${o.base_rate_brier}), log loss ${o.log_loss}, mean predicted ${pct(o.mean_prob)} vs strike rate ${pct(o.strike_rate)}`);
+  console.log('\nBy confidence:');
+  for (const g of report.by_confidence) {
+    console.log(`  ${g.label.padEnd(8)} ${String(g.n).padStart(5)} picks  predicted ${pct(g.mean_prob).padStart(6)}  won ${pct(g.strike_rate).padStart(6)}  Brier ${g.brier}`);
+  }
+  console.log('\nReliability:');
+  for (const b of report.reliability) {
+    console.log(`  ${pct(b.lo).padStart(6)}-${pct(b.hi).padEnd(6)} ${String(b.n).padStart(5)} picks  predicted ${pct(b.mean_prob).padStart(6)}  won ${pct(b.strike_rate).padStart(6)}`);
+  }
+  if (mapping) {
+    const r = report.recalibrated.overall;
+    console.log(`\nRecalibrated (in-sample): Brier ${r.brier}, log loss ${r.log_loss}, mean predicted ${pct(r.mean_prob)}`);
+    save(fitFile, mapping);
+    console.log(`Mapping → ${fitFile}`);
+  }
+
+  const out = argValue('json') || path.join('docs', 'calibration.json');
+  save(out, report);
+  console.log(`Saved → ${out}`);
+})();
@@ -0,0 +1,187 @@
+// calibration.js
+// How well the published win probabilities and confidence labels match what
+// actually happened, and a recalibration mapping the selection step can apply
+// (strategies.js, "calibration" on a strategy).
+//
+// A prediction row: { date, course, time, name, confidence, probability,
+// prob_source, won } with probability a fraction and won 1 or 0. Rows come
+// from strategy output (probability in percent, as select-top3.js publishes
+// it) joined to docs/results; picks without a probability (no price),
+// non-runners and races without a usable result are left out. Confidence is
+// the analyser's free text reduced to its leading label ("High – proven
+// form" → 'high'), 'other' when it starts with none of LABELS.
+//
+//   brier       mean (p - won)²; 0 is perfect, always saying the base rate
+//               scores base_rate × (1 - base_rate)
+//   log_loss    mean -log(p) for winners, -log(1 - p) for losers (p clipped
+//               to [EPS, 1 - EPS])
+//   reliability equal-width probability bins: mean predicted vs strike rate
+//
+// MAPPING (docs/calibration-map.json, from calibrate.js --fit):
+// { method: 'isotonic', fitted_on: { from, to, n }, bins, points: [[p, q], …] }
+// points rise in both p and q; recalibrate() interpolates between them and
+// holds the end values outside.
+
+'use strict';
+
+const fs = require('fs');
+const { sameHorse, raceKey } = require('./identity');
+const { runnerOutcome } = require('./settlement');
+
+const EPS = 1e-6;
+// longest first, so 'very high' wins over 'high'
+const LABELS = ['very strong', 'very high', 'medium-high', 'medium', 'moderate', 'strong', 'solid', 'high', 'good', 'fair', 'low'];
+
+const round = (x, d = 4) => (x == null ? null : +x.toFixed(d));
+const clip = p => Math.min(1 - EPS, Math.max(EPS, p));
+const mean = xs => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+
+function confidenceLabel(text) {
+  const t = String(text || '').toLowerCase().replace(/\s*-\s*/g, '-').trim();
+  if (!t) return 'unknown';
+  return LABELS.find(l => t === l || (t.startsWith(l) && !/[a-z]/.test(t[l.length]))) || 'other';
+}
+
+/**
+ * One day's strategy output (races with shortlists) against its results file
+ * → prediction rows. `probability` on a pick is in percent.
+ */
+function predictionRows(date, races, results) {
+  const byRace = new Map((results?.results || []).map(r => [raceKey(r), r]));
+  const rows = [];
+  for (const race of races || []) {
+    const res = byRace.get(raceKey(race));
+    if (!res?.winner?.name || res.confidence === 'low') continue;
+    for (const p of race.shortlist || []) {
+      if (!(p.probability > 0)) continue;
+      if ((res.void_picks || []).some(n => sameHorse(n, p.name))) continue;
+      const outcome = runnerOutcome(res, p.name);
+      if (outcome.status !== 'ran') continue;
+      rows.push({
+        date,
+        course: race.course,
+        time: race.time,
+        name: p.name,
+        confidence: confidenceLabel(p.confidence),
+        probability: p.probability / 100,
+        prob_source: p.prob_source || null,
+        won: outcome.position === 1 ? 1 : 0
+      });
+    }
+  }
+  return rows;
+}
+
+function brierScore(rows, prob = r => r.probability) {
+  return round(mean(rows.map(r => (prob(r) - r.won) ** 2)));
+}
+
+function logLoss(rows, prob = r => r.probability) {
+  return round(mean(rows.map(r => -Math.log(r.won ? clip(prob(r)) : 1 - clip(prob(r))))));
+}
+
+function summarize(rows, prob = r => r.probability) {
+  const wins = rows.reduce((a, r) => a + r.won, 0);
+  return {
+    n: rows.length,
+    wins,
+    strike_rate: rows.length ? round(wins / rows.length) : null,
+    mean_prob: round(mean(rows.map(prob))),
+    brier: brierScore(rows, prob),
+    log_loss: logLoss(rows, prob)
+  };
+}
+
+// confidence label → summary, most predictions first
+function byConfidence(rows) {
+  const groups = new Map();
+  for (const r of rows) {
+    if (!groups.has(r.confidence)) groups.set(r.confidence, []);
+    groups.get(r.confidence).push(r);
+  }
+  return [...groups].map(([label, g]) => ({ label, ...summarize(g) }))
+    .sort((a, b) => b.n - a.n || a.label.localeCompare(b.label));
+}
+
+/**
+ * Reliability-curve data: `bins` equal-width bins over [0, 1], empty ones
+ * left out. → [{ lo, hi, n, wins, mean_prob, strike_rate }]
+ */
+function reliability(rows, { bins = 10, prob = r => r.probability } = {}) {
+  const out = Array.from({ length: bins }, (_, i) => ({ lo: round(i / bins), hi: round((i + 1) / bins), ps: [], wins: 0 }));
+  for (const r of rows) {
+    const b = out[Math.min(bins - 1, Math.floor(prob(r) * bins))];
+    b.ps.push(prob(r));
+    b.wins += r.won;
+  }
+  return out.filter(b => b.ps.length).map(({ lo, hi, ps, wins }) => ({
+    lo, hi, n: ps.length, wins, mean_prob: round(mean(ps)), strike_rate: round(wins / ps.length)
+  }));
+}
+
+/**
+ * Isotonic fit over the reliability bins (pool adjacent violators, weighted by
+ * bin size): each bin's mean prediction → a strike rate that never falls as
+ * the prediction rises.
+ */
+function fitRecalibration(rows, { bins = 10 } = {}) {
+  if (!rows.length) throw new Error('No settled predictions to fit a recalibration on.');
+  const blocks = [];
+  for (const b of reliability(rows, { bins })) {
+    blocks.push({ n: b.n, wins: b.wins, ps: [b.mean_prob] });
+    while (blocks.length > 1) {
+      const [x, y] = blocks.slice(-2);
+      if (x.wins / x.n <= y.wins / y.n) break;
+      blocks.splice(-2, 2, { n: x.n + y.n, wins: x.wins + y.wins, ps: [...x.ps, ...y.ps] });
+    }
+  }
+  const points = blocks.flatMap(b => b.ps.map(p => [p, round(clip(b.wins / b.n))]));
+  const dates = rows.map(r => r.date).sort();
+  return { method: 'isotonic', fitted_on: { from: dates[0], to: dates[dates.length - 1], n: rows.length }, bins, points };
+}
+
+// a probability (fraction) through a mapping
+function recalibrate(mapping, p) {
+  const pts = mapping?.points;
+  if (!pts?.length || !Number.isFinite(p)) return p;
+  if (p <= pts[0][0]) return pts[0][1];
+  for (let i = 1; i < pts.length; i++) {
+    const [x0, y0] = pts[i - 1], [x1, y1] = pts[i];
+    if (p <= x1) return x1 === x0 ? y1 : y0 + ((p - x0) / (x1 - x0)) * (y1 - y0);
+  }
+  return pts[pts.length - 1][1];
+}
+
+function loadCalibration(file) {
+  let mapping;
+  try { mapping = JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch (e) { throw new Error(`Cannot read calibration mapping ${file}: ${e.message}`); }
+  const ok = Array.isArray(mapping.points) && mapping.points.length &&
+    mapping.points.every((pt, i, a) => pt.length === 2 && pt.every(Number.isFinite) && (i === 0 || (pt[0] >= a[i - 1][0] && pt[1] >= a[i - 1][1])));
+  if (!ok) throw new Error(`Calibration mapping ${file} needs rising [p, q] points.`);
+  return mapping;
+}
+
+/**
+ * → { overall, by_confidence, reliability, recalibrated? }
+ * With a mapping, `recalibrated` scores the same rows after it (in-sample
+ * when the mapping was fitted on them).
+ */
+function calibrationReport(rows, { bins = 10, mapping = null } = {}) {
+  const base = mean(rows.map(r => r.won));
+  const out = {
+    overall: { ...summarize(rows), base_rate_brier: rows.length ? brierScore(rows, () => base) : null },
+    by_confidence: byConfidence(rows),
+    reliability: reliability(rows, { bins })
+  };
+  if (mapping) {
+    const prob = r => recalibrate(mapping, r.probability);
+    out.recalibrated = { overall: summarize(rows, prob), reliability: reliability(rows, { bins, prob }) };
+  }
+  return out;
+}
+
+module.exports = {
+  predictionRows, calibrationReport, byConfidence, reliability, brierScore, logLoss,
+  fitRecalibration, recalibrate, loadCalibration, confidenceLabel, LABELS
+};
@@ -0,0 +1,61 @@
+// cli.js
+// Helpers the command-line scripts share: flag values, forgiving JSON reads
+// and where a day's picks and results live in the archive.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// --name VALUE or --name=VALUE → 'VALUE'; null when the flag is absent or
+// given bare (test that with hasFlag)
+function argValue(name, args = process.argv.slice(2)) {
+  const eq = args.find(a => a.startsWith(`--${name}=`));
+  if (eq) return eq.slice(name.length + 3);
+  const i = args.indexOf(`--${name}`);
+  return i !== -1 && args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : null;
+}
+
+// positional (non-flag) arguments, skipping the values of `flags` (names
+// without the dashes) when given as --name VALUE
+function positionalArgs(args, flags = []) {
+  const out = [];
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a.startsWith('--')) {
+      if (!a.includes('=') && flags.includes(a.slice(2)) && args[i + 1] && !args[i + 1].startsWith('--')) i++;
+      continue;
+    }
+    out.push(a);
+  }
+  return out;
+}
+
+// --name given, with or without a value
+function hasFlag(name, args = process.argv.slice(2)) {
+  return args.some(a => a === `--${name}` || a.startsWith(`--${name}=`));
+}
+
+// parsed file, or null when it's missing or not JSON
+function readJSON(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch { return null; }
+}
+
+// docs/picks/YYYY/MM/DATE.json
+function picksPathFor(date, root = path.join('docs', 'picks')) {
+  const [Y, M] = date.split('-');
+  return path.join(root, Y, M, `${date}.json`);
+}
+
+function resultsPathFor(date, root = path.join('docs', 'results')) {
+  const [Y, M] = date.split('-');
+  return path.join(root, Y, M, `${date}.json`);
+}
+
+// docs/results/YYYY/MM/DATE.json, or null when the day has none yet
+function resultsFor(date) {
+  return readJSON(resultsPathFor(date));
+}
+
+module.exports = { argValue, hasFlag, positionalArgs, readJSON, picksPathFor, resultsPathFor, resultsFor };
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Compare prompt versions on results (see prompt-compare.js)
+ *
+ * Reads the A/B runs in prompt-ab/DATE/<prompt id>.json and the matching
+ * docs/results/YYYY/MM/DATE.json, and prints each prompt's hit rate and P/L.
+ *
+ * Usage:
+ *   node compare-prompts.js [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *     --published   also count the daily picks in docs/picks/, by the prompt
+ *                   each file records ("unversioned" before prompts were tracked)
+ *     --json FILE   write the comparison as JSON too
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { comparePrompts } = require('./prompt-compare');
+const { argValue, readJSON, resultsFor } = require('./cli');
+
+const AB_DIR = 'prompt-ab';
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const listDir = dir => (fs.existsSync(dir) ? fs.readdirSync(dir) : []);
+
+(function main() {
+  const from = argValue('from') || '0000-00-00';
+  const to = argValue('to') || '9999-99-99';
+  const inRange = d => d >= from && d <= to;
+
+  const variants = [];
+  for (const date of listDir(AB_DIR).filter(d => DATE_RE.test(d) && inRange(d))) {
+    for (const f of listDir(path.join(AB_DIR, date)).filter(f => f.endsWith('.json') && f !== 'usage.json')) {
+      const data = readJSON(path.join(AB_DIR, date, f));
+      if (data) variants.push({ prompt: data.prompt || f.replace(/\.json$/, ''), date, data });
+    }
+  }
+
+  if (process.argv.includes('--published')) {
+    const root = path.join('docs', 'picks');
+    for (const Y of listDir(root).filter(y => /^\d{4}$/.test(y))) {
+      for (const M of listDir(path.join(root, Y))) {
+        for (const f of listDir(path.join(root, Y, M)).filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f))) {
+          const date = f.slice(0, 10);
+          if (!inRange(date)) continue;
+          const data = readJSON(path.join(root, Y, M, f));
+          // a separate "day" from any A/B file of the same date, so common races are per source
+          if (data) variants.push({ prompt: `${data.prompt || 'unversioned'} (published)`, date: `${date}#published`, data, resultsDate: date });
+        }
+      }
+    }
+  }
+
+  if (!variants.length) {
+    console.error(`No prompt runs found in ${AB_DIR}/ (run the analyser with --prompt a,b).`);
+    process.exit(1);
+  }
+
+  const resultsByDate = {};
+  for (const v of variants) resultsByDate[v.date] = resultsFor(v.resultsDate || v.date);
+
+  const rows = comparePrompts(variants, resultsByDate).sort((a, b) => (b.roi ?? -Infinity) - (a.roi ?? -Infinity));
+  const pct = x => (x == null ? '   n/a' : `${(x * 100).toFixed(1).padStart(5)}%`);
+  console.log('prompt'.padEnd(36), 'days'.padStart(5), 'settled'.padStart(8), 'hit rate'.padStart(9), 'bets'.padStart(6), 'P/L'.padStart(9), 'ROI'.padStart(7));
+  for (const r of rows) {
+    console.log(
+      r.prompt.padEnd(36), String(r.days).padStart(5), String(r.settled).padStart(8), pct(r.hit_rate).padStart(9),
+      String(r.bets).padStart(6), r.pnl.toFixed(2).padStart(9), pct(r.roi).padStart(7)
+    );
+  }
+
+  const jsonOut = argValue('json');
+  if (jsonOut) {
+    fs.writeFileSync(jsonOut, JSON.stringify({ generated_at: new Date().toISOString(), from: argValue('from'), to: argValue('to'), prompts: rows }, null, 2));
+    console.log(`Saved comparison → ${jsonOut}`);
+  }
+})();
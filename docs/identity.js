@@ -0,0 +1,128 @@
+// identity.js
+// Canonical keys for horse, jockey and trainer names, shared by the Node
+// scripts (through ../identity.js) and the dashboard (<script src="./identity.js">,
+// as window.Identity).
+//
+// A key ignores what sources write differently for the same name:
+//
+//   "Magic Box (IRE)", "Magic Box (Ire)", "Magic Box IRE", "MAGIC BOX"  → 'magic box'
+//   "Fred's Girl", "Freds Girl", "Fred’s Girl"                         → 'freds girl'
+//   "Zéphyr", "Zephyr"                                                  → 'zephyr'
+//   /horse-racing/horse/magic-box/                                      → 'magic box'
+//
+// Person keys also drop claims ("(5)", "(3lb)") and join initials
+// ("P. J. McDonald" = "PJ McDonald"). Course and race keys only fold case and
+// spacing ("Catterick  Bridge" = "catterick bridge"); a race is its course
+// and off time, 'ayr||13:00'.
+//
+// A resolver adds the alias table (docs/identity-aliases.json, keys mapped to
+// the key they stand for) and a fuzzy fallback for names with no exact key:
+// the one candidate at MIN_SIMILARITY or better, reported through onFuzzy so
+// every guess is logged. Two candidates that both clear it ("Magic Box" and
+// "Magic Fox") are too close to call, so that takes an exact key or an alias.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Identity = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const KINDS = ['horse', 'jockey', 'trainer'];
+  const MIN_SIMILARITY = 0.85;
+  // country suffixes written without brackets ("Magic Box IRE", profile URL slugs)
+  const COUNTRIES = ['ire', 'gb', 'fr', 'usa', 'ger', 'ity', 'nz', 'aus', 'saf', 'jpn', 'arg', 'brz', 'can', 'chi', 'spa', 'pol', 'swe', 'den', 'nor', 'hol', 'bel', 'cze', 'hun', 'tur', 'uae', 'qa', 'ind'];
+  const BARE_COUNTRY = new RegExp(`\\s+(?:${COUNTRIES.join('|')})$`);
+
+  function baseKey(name) {
+    return String(name || '')
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')        // accents
+      .toLowerCase()
+      .replace(/\s*\([a-z]{2,3}\)\s*$/, '')                   // (IRE), (GB), (USA)
+      .replace(/['’‘`´]/g, '')                                 // apostrophes
+      .replace(/[^a-z0-9()]+/g, ' ')
+      .trim();
+  }
+
+  function horseKey(name) {
+    const key = baseKey(name).replace(/[()]/g, ' ').replace(/\s+/g, ' ').trim();
+    // a bare suffix only when the source wrote it as a code ("IRE", not "Ire")
+    return /\s[A-Z]{2,3}\s*$/.test(String(name || '').trim()) ? key.replace(BARE_COUNTRY, '') : key;
+  }
+
+  function personKey(name) {
+    return baseKey(name)
+      .replace(/\(\s*\d+\s*(?:lb)?\s*\)/g, ' ')              // claim: (5), (3lb)
+      .replace(/[()]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .replace(/\b([a-z]) (?=[a-z]\b)/g, '$1')               // p j → pj
+      .trim();
+  }
+
+  const courseKey = name => String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  // { course, time } (a racecard race, a result, a pick's race) → 'ayr||13:00'
+  const raceKey = race => `${courseKey(race.course)}||${courseKey(race.time)}`;
+
+  const keyFor = (kind, name) => (kind === 'horse' ? horseKey(name) : personKey(name));
+
+  // Betfair horse profile URL → horse key ('/horse-racing/horse/magic-box-ire/123' → 'magic box')
+  function horseKeyFromUrl(url) {
+    const m = String(url || '').match(/\/horse\/([^/?#]+)/i);
+    if (!m) return null;
+    const slug = decodeURIComponent(m[1]).replace(/-\d+$/, '').replace(/-/g, ' ');
+    return horseKey(slug).replace(BARE_COUNTRY, '') || null;
+  }
+
+  // 1 - edit distance / longer length
+  function similarity(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      for (let j = 1; j <= b.length; j++) {
+        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      prev = cur;
+    }
+    return 1 - prev[b.length] / Math.max(a.length, b.length);
+  }
+
+  /**
+   * aliases: { horse: { key: key }, jockey: {…}, trainer: {…} }   (docs/identity-aliases.json)
+   * onFuzzy({ kind, name, match, score, context }) is called for every fuzzy match.
+   */
+  function createResolver(aliases = {}, { onFuzzy = null, minSimilarity = MIN_SIMILARITY } = {}) {
+    const table = Object.fromEntries(KINDS.map(k => [k, new Map(
+      Object.entries(aliases[k] || {}).map(([from, to]) => [keyFor(k, from), keyFor(k, to)])
+    )]));
+    const key = (kind, name) => {
+      const k = keyFor(kind, name);
+      return table[kind]?.get(k) ?? k;
+    };
+    const same = (kind, a, b) => !!a && !!b && key(kind, a) === key(kind, b);
+
+    // → the candidate (a name, or an object with .name) that `name` refers to, or null
+    function match(kind, name, candidates, context = '') {
+      const want = key(kind, name);
+      if (!want) return null;
+      const list = (candidates || []).filter(Boolean);
+      const nameOf = c => (typeof c === 'string' ? c : c.name);
+      const exact = list.find(c => key(kind, nameOf(c)) === want);
+      if (exact) return exact;
+
+      let best = null, bestScore = 0, runnerUp = 0;
+      for (const c of list) {
+        const score = similarity(want, key(kind, nameOf(c)));
+        if (score > bestScore) { runnerUp = bestScore; best = c; bestScore = score; }
+        else if (score > runnerUp) runnerUp = score;
+      }
+      if (!best || bestScore < minSimilarity || runnerUp >= minSimilarity) return null;
+      if (onFuzzy) onFuzzy({ kind, name, match: nameOf(best), score: +bestScore.toFixed(3), context });
+      return best;
+    }
+
+    return { key, same, match };
+  }
+
+  return { horseKey, personKey, courseKey, raceKey, horseKeyFromUrl, similarity, createResolver, KINDS, MIN_SIMILARITY };
+});
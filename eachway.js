@@ -0,0 +1,92 @@
+// eachway.js
+// Each-way terms, place probabilities and each-way EV / settlement.
+//
+// Place terms come from the racecard when it states them (ew_terms), else
+// the standard UK/IRE bookmaker rules on the number of runners:
+//
+//   1-4 runners                  win only
+//   5-7 runners                  2 places at 1/4
+//   8+ runners                   3 places at 1/5
+//   handicaps, 12-15 runners     3 places at 1/4
+//   handicaps, 16+ runners       4 places at 1/4
+//
+// With 12+ runners the terms hang on whether the race is a handicap; when
+// that isn't known (the racecards don't say yet) the terms are unknown and the
+// race is bet win only.
+//
+// An each-way bet is two equal bets: win, and place at 1 + (odds - 1) × fraction.
+// Throughout, `stake` is the total outlay, split half and half.
+
+'use strict';
+
+// → { places, fraction, source: 'racecard' | 'rules' } or null (win only, or
+// unknown). `handicap` is true, false or null when not known.
+function placeTerms({ runners, handicap = null, ew_terms = null } = {}) {
+  if (ew_terms?.places > 0 && ew_terms?.fraction > 0) {
+    return { places: ew_terms.places, fraction: ew_terms.fraction, source: 'racecard' };
+  }
+  const n = Number(runners) || 0;
+  if (n < 5) return null;
+  if (n <= 7) return { places: 2, fraction: 0.25, source: 'rules' };
+  if (handicap == null && n >= 12) return null;
+  if (handicap && n >= 16) return { places: 4, fraction: 0.25, source: 'rules' };
+  if (handicap && n >= 12) return { places: 3, fraction: 0.25, source: 'rules' };
+  return { places: 3, fraction: 0.2, source: 'rules' };
+}
+
+const placeOdds = (dec, terms) => 1 + (dec - 1) * terms.fraction;
+
+/**
+ * Chance runner `i` finishes in the first `places`, from every runner's win
+ * probability (Harville: each later position is a win among those left).
+ */
+function harvillePlace(probs, i, places) {
+  const rec = (left, mass, depth) => {
+    if (depth === places || mass <= 0) return 0;
+    let total = probs[i] / mass;
+    for (const j of left) {
+      if (j === i || !probs[j]) continue;
+      total += (probs[j] / mass) * rec(left.filter(k => k !== j), mass - probs[j], depth + 1);
+    }
+    return total;
+  };
+  const all = probs.map((_, k) => k);
+  return Math.min(1, rec(all, probs.reduce((a, b) => a + b, 0), 0));
+}
+
+/**
+ * Place probability for a pick with win probability `prob`. `others` are the
+ * rest of the field's (fair) win probabilities; they're rescaled to 1 - prob.
+ * Without a field, a rough independent-slots guess: 1 - (1 - prob)^places.
+ */
+function placeProb(prob, places, others = null) {
+  if (!(prob > 0)) return 0;
+  if (!others?.length) return Math.min(1, 1 - (1 - prob) ** places);
+  const sum = others.reduce((a, b) => a + b, 0);
+  const field = [prob, ...others.map(p => (sum > 0 ? p * (1 - prob) / sum : 0))];
+  return harvillePlace(field, 0, Math.min(places, field.length));
+}
+
+// EV per unit of total outlay (half win, half place)
+function eachWayEV(winProb, plProb, dec, terms) {
+  if (!dec || !terms) return -1;
+  const winEv = winProb * (dec - 1) - (1 - winProb);
+  const placeEv = plProb * (placeOdds(dec, terms) - 1) - (1 - plProb);
+  return (winEv + placeEv) / 2;
+}
+
+/**
+ * Return (stake back included) on a bet. `position` is the finishing
+ * position (null if unplaced or unknown), `rule4` the deduction off winnings.
+ * `tied` is how many horses dead-heated for that position: the stake on each
+ * part is divided by it, counting only the tied places still paid (two
+ * sharing 3rd of 3 places pay half; sharing 2nd of 3 pay in full).
+ */
+function betReturn({ stake, dec, bet_type = 'win', terms = null, position = null, rule4 = 0, tied = 1 }) {
+  const share = places => (position != null && position <= places ? Math.min(1, (places - position + 1) / Math.max(1, tied)) : 0);
+  const pays = (part, odds, places) => part * share(places) * (1 + (odds - 1) * (1 - rule4));
+  if (bet_type !== 'each_way' || !terms) return pays(stake, dec, 1);
+  return pays(stake / 2, dec, 1) + pays(stake / 2, placeOdds(dec, terms), terms.places);
+}
+
+module.exports = { placeTerms, placeOdds, harvillePlace, placeProb, eachWayEV, betReturn };
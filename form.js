@@ -0,0 +1,71 @@
+// form.js
+// Racing form strings ('3-1P24', '0/21F-13') → structured recent runs and
+// the features the selectors, the analyser prompt and the dashboard use.
+//
+// Read left (oldest) to right (newest):
+//   1-9   finishing position        0   10th or worse
+//   F fell, P pulled up, U unseated rider, R refused, B brought down,
+//   S slipped up, C carried out, O ran out, D disqualified, V void race
+//   -     season break               /   gap of more than a season
+//
+// Anything else (spaces, brackets, lower-case noise) is ignored.
+//
+// formFeatures() → {
+//   runs, last, last3_avg, wins, places, non_completions, falls,
+//   runs_this_season, days_since_run
+// }
+// places counts 1st-3rd (wins included); last3_avg averages the numeric
+// positions among the last three runs (0 counts as 10th), null without any.
+
+'use strict';
+
+const EVENTS = {
+  F: 'fell', P: 'pulled_up', U: 'unseated', R: 'refused', B: 'brought_down',
+  S: 'slipped_up', C: 'carried_out', O: 'ran_out', D: 'disqualified', V: 'void'
+};
+
+/**
+ * → { runs: [{ code, pos, event, season }], breaks }
+ * pos is 1..10 for a finishing position, null otherwise; event names the
+ * letter codes; season counts back from the current one (0 = this season).
+ */
+function parseForm(form) {
+  const runs = [];
+  let breaks = 0;
+  for (const ch of String(form || '').toUpperCase()) {
+    if (ch === '-') { breaks++; continue; }
+    if (ch === '/') { breaks += 2; continue; }
+    if (/[0-9]/.test(ch)) runs.push({ code: ch, pos: ch === '0' ? 10 : Number(ch), event: null, _breaks: breaks });
+    else if (EVENTS[ch]) runs.push({ code: ch, pos: null, event: EVENTS[ch], _breaks: breaks });
+  }
+  // seasons back from the newest run
+  for (const r of runs) {
+    r.season = breaks - r._breaks;
+    delete r._breaks;
+  }
+  return { runs, breaks };
+}
+
+function formFeatures(form, { daysSinceRun = null } = {}) {
+  const { runs } = parseForm(form);
+  const last3 = runs.slice(-3).filter(r => r.pos != null);
+  const avg = last3.length ? last3.reduce((n, r) => n + r.pos, 0) / last3.length : null;
+  return {
+    runs: runs.length,
+    last: runs.length ? runs[runs.length - 1].code : null,
+    last3_avg: avg == null ? null : +avg.toFixed(2),
+    wins: runs.filter(r => r.pos === 1).length,
+    places: runs.filter(r => r.pos != null && r.pos <= 3).length,
+    non_completions: runs.filter(r => r.event && r.event !== 'void' && r.event !== 'disqualified').length,
+    falls: runs.filter(r => r.event === 'fell').length,
+    runs_this_season: runs.filter(r => r.season === 0).length,
+    days_since_run: Number.isFinite(daysSinceRun) ? daysSinceRun : null
+  };
+}
+
+// The last `n` runs, newest last
+function recentRuns(form, n = 3) {
+  return parseForm(form).runs.slice(-n);
+}
+
+module.exports = { parseForm, formFeatures, recentRuns, EVENTS };
@@ -0,0 +1,60 @@
+// identity.js
+// Horse, jockey and trainer matching across racecards, picks and results,
+// for the Node scripts. The keys themselves live in docs/identity.js so the
+// dashboard shares them; this adds the alias table and logs fuzzy matches.
+//
+// ALIASES (docs/identity-aliases.json), one manual correction per line:
+//   { "horse": { "Magic Boxx": "Magic Box" }, "jockey": {}, "trainer": {} }
+// Either side may be written any way a source writes it; add entries with
+// add-alias.js.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { personKey, courseKey, raceKey, horseKeyFromUrl, similarity, createResolver, KINDS } = require('./docs/identity');
+
+const ALIAS_FILE = path.join(__dirname, 'docs', 'identity-aliases.json');
+
+function loadAliases(file = ALIAS_FILE) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch { return {}; }
+}
+
+function logFuzzy({ kind, name, match, score, context }) {
+  console.warn(`[identity] fuzzy ${kind} match: "${name}" → "${match}" (${score})${context ? ` in ${context}` : ''}; add an alias if this is wrong or to make it exact`);
+}
+
+let resolver = null;
+const current = () => (resolver ??= createResolver(loadAliases(), { onFuzzy: logFuzzy }));
+
+// Record one correction; every later match (and key) uses it.
+function addAlias(kind, from, to, file = ALIAS_FILE) {
+  if (!KINDS.includes(kind)) throw new Error(`Alias kind must be one of ${KINDS.join(', ')} (got "${kind}").`);
+  const aliases = loadAliases(file);
+  aliases[kind] = { ...(aliases[kind] || {}), [from]: to };
+  fs.writeFileSync(file, JSON.stringify(aliases, null, 2) + '\n');
+  if (file === ALIAS_FILE) resolver = null;
+  return aliases;
+}
+
+const key = (kind, name) => current().key(kind, name);
+const same = (kind, a, b) => current().same(kind, a, b);
+const match = (kind, name, candidates, context) => current().match(kind, name, candidates, context);
+
+module.exports = {
+  key,
+  same,
+  match,
+  sameHorse: (a, b) => same('horse', a, b),
+  matchHorse: (name, candidates, context) => match('horse', name, candidates, context),
+  horseKey: name => key('horse', name),
+  horseKeyFromUrl,
+  personKey,
+  courseKey,
+  raceKey,
+  similarity,
+  loadAliases,
+  addAlias,
+  ALIAS_FILE
+};
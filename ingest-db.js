@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Load the JSON archive into the local SQLite database (see racing-db.js)
+ *
+ * Racecards, shortlists, published and strategy picks and results, file by
+ * file. Files already loaded and unchanged since are skipped, so rerunning
+ * after a new day only adds that day.
+ *
+ * Usage:
+ *   node ingest-db.js [--db FILE]           default racing.db
+ *     --from YYYY-MM-DD --to YYYY-MM-DD     only days in this range
+ *     --force                               reload every file, changed or not
+ */
+
+'use strict';
+
+const { openDb, archiveFiles, ingestFile, DEFAULT_DB } = require('./racing-db');
+const { argValue } = require('./cli');
+
+(function main() {
+  const file = argValue('db') || DEFAULT_DB;
+  const from = argValue('from') || '0000-00-00';
+  const to = argValue('to') || '9999-99-99';
+  const force = process.argv.includes('--force');
+
+  let db;
+  try { db = openDb(file); }
+  catch (e) { console.error(e.message); process.exit(1); }
+
+  const counts = {};
+  for (const entry of archiveFiles().filter(e => e.date >= from && e.date <= to)) {
+    const outcome = ingestFile(db, entry, { force });
+    counts[entry.kind] ??= { ingested: 0, unchanged: 0, skipped: 0 };
+    counts[entry.kind][outcome]++;
+    if (outcome === 'skipped') console.warn(`⚠️ Unreadable JSON, skipped: ${entry.file}`);
+  }
+  for (const [kind, c] of Object.entries(counts)) {
+    console.log(`${kind.padEnd(10)} ${c.ingested} loaded, ${c.unchanged} unchanged${c.skipped ? `, ${c.skipped} unreadable` : ''}`);
+  }
+  const totals = ['meetings', 'races', 'runners', 'picks', 'results']
+    .map(t => `${db.prepare(`SELECT COUNT(*) AS n FROM ${t}`).get().n} ${t}`);
+  console.log(`✅ ${file}: ${totals.join(', ')}`);
+  db.close();
+})();
@@ -0,0 +1,193 @@
+// llm-budget.js
+// Token / cost budgets for the analyser, and the usage summary written next
+// to each picks file (betfair-racecards-picks-DATE.usage.json and
+// docs/picks/YYYY/MM/DATE.usage.json; an A/B run's in prompt-ab/DATE/usage.json).
+//
+// Limits (any may be left out): run_tokens, run_cost, month_tokens, month_cost.
+// They come from the "budget" key of llm.config.json or --run-tokens,
+// --run-cost, --month-tokens, --month-cost. Costs are in the price table's
+// currency, per 1M tokens, plus a flat per-request fee where the provider
+// charges one. "prices" in llm.config.json overrides or adds models.
+//
+// Before each call the race's cost is estimated (prompt chars / 4 tokens in,
+// max_tokens out) and reserved; the actual usage is settled afterwards. When
+// the whole card won't fit in what's left, races are sent in order of
+// raceValue() so the budget goes on the best races first.
+
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const { argValue } = require('./cli');
+
+const CURRENCY = 'USD';
+
+// per 1M tokens; request = flat fee per call
+const PRICE_TABLE = {
+  'sonar':               { input: 1,    output: 1,   request: 0.005 },
+  'sonar-pro':           { input: 3,    output: 15,  request: 0.006 },
+  'sonar-reasoning':     { input: 1,    output: 5,   request: 0.005 },
+  'sonar-reasoning-pro': { input: 2,    output: 8,   request: 0.006 },
+  'gpt-4o':              { input: 2.5,  output: 10 },
+  'gpt-4o-mini':         { input: 0.15, output: 0.6 },
+  'gpt-4.1-mini':        { input: 0.4,  output: 1.6 }
+};
+
+// local and mock providers cost nothing; unknown hosted models are priced at sonar-pro
+const FREE_PROVIDERS = ['mock', 'ollama', 'llamacpp'];
+const UNKNOWN_MODEL_PRICE = PRICE_TABLE['sonar-pro'];
+
+const LIMIT_FLAGS = ['run-tokens', 'run-cost', 'month-tokens', 'month-cost'];
+
+// { run_tokens, run_cost, month_tokens, month_cost } from flags over config file
+function resolveBudget({ args = [], file = null } = {}) {
+  const out = {};
+  for (const flag of LIMIT_FLAGS) {
+    const key = flag.replace('-', '_');
+    const raw = argValue(flag, args) ?? file?.budget?.[key];
+    if (raw == null || raw === '') continue;
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`Invalid budget ${key}: ${raw}`);
+    out[key] = n;
+  }
+  return out;
+}
+
+function priceFor({ provider, model }, overrides = {}) {
+  if (FREE_PROVIDERS.includes(provider)) return { input: 0, output: 0, request: 0 };
+  const p = overrides[model] || PRICE_TABLE[model] || UNKNOWN_MODEL_PRICE;
+  return { input: p.input || 0, output: p.output || 0, request: p.request || 0 };
+}
+
+function costOf(usage, price) {
+  // Perplexity reports its own total when it can; trust that over our table
+  if (Number.isFinite(usage?.cost?.total_cost)) return usage.cost.total_cost;
+  const input = usage?.prompt_tokens || 0, output = usage?.completion_tokens || 0;
+  return (input * price.input + output * price.output) / 1e6 + price.request;
+}
+
+function estimateUsage(messages, maxTokens) {
+  const chars = messages.reduce((n, m) => n + String(m.content || '').length, 0);
+  const prompt_tokens = Math.ceil(chars / 4);
+  return { prompt_tokens, completion_tokens: maxTokens, total_tokens: prompt_tokens + maxTokens };
+}
+
+const CLASS_SCORE = { 'Group 1': 10, 'Grade 1': 10, 'Group 2': 9, 'Grade 2': 9, 'Group 3': 8, 'Grade 3': 8, 'Listed': 7 };
+
+/**
+ * How much a race is worth analysing: better class, bigger prize and bigger
+ * field score higher. Only the order matters. The racecards carry neither
+ * class nor prize yet (see racecard-parser.js), so for now races rank by
+ * field size alone.
+ */
+function raceValue(race) {
+  const cls = race.race_class || '';
+  const classScore = CLASS_SCORE[cls] ?? (/^Class (\d)/.test(cls) ? 8 - Number(cls.match(/\d/)[0]) : 2);
+  const prize = Number(race.prize_value) || 0;
+  const field = (race.runners || []).filter(r => !r.non_runner).length || Number(race.declared_runners) || 0;
+  return classScore + Math.log10(prize + 1) + Math.min(field, 16) / 4;
+}
+
+/**
+ * Tracks spend against the limits. `monthSpent` is what earlier runs this
+ * month already used ({ tokens, cost }).
+ */
+function createBudget({ limits = {}, price, monthSpent = { tokens: 0, cost: 0 } }) {
+  const spent = { tokens: 0, prompt: 0, completion: 0, cost: 0 };
+  const reserved = { tokens: 0, cost: 0 };
+
+  const room = () => {
+    const left = [];
+    if (limits.run_tokens != null) left.push(['tokens', limits.run_tokens - spent.tokens - reserved.tokens]);
+    if (limits.month_tokens != null) left.push(['tokens', limits.month_tokens - monthSpent.tokens - spent.tokens - reserved.tokens]);
+    if (limits.run_cost != null) left.push(['cost', limits.run_cost - spent.cost - reserved.cost]);
+    if (limits.month_cost != null) left.push(['cost', limits.month_cost - monthSpent.cost - spent.cost - reserved.cost]);
+    return left;
+  };
+
+  return {
+    limits,
+    spent,
+    // would `estimates` (usage objects) all fit in what's left?
+    fits(estimates) {
+      const tokens = estimates.reduce((n, u) => n + u.total_tokens, 0);
+      const cost = estimates.reduce((n, u) => n + costOf(u, price), 0);
+      return room().every(([unit, left]) => (unit === 'tokens' ? tokens : cost) <= left);
+    },
+    // hold back the estimated spend for one call; false if it doesn't fit
+    reserve(estimate) {
+      if (!this.fits([estimate])) return false;
+      reserved.tokens += estimate.total_tokens;
+      reserved.cost += costOf(estimate, price);
+      return true;
+    },
+    // swap the reservation for what the call really used (usage may be null on failure)
+    settle(estimate, usage) {
+      reserved.tokens -= estimate.total_tokens;
+      reserved.cost -= costOf(estimate, price);
+      if (!usage) return;
+      spent.prompt += usage.prompt_tokens || 0;
+      spent.completion += usage.completion_tokens || 0;
+      spent.tokens += usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+      spent.cost += costOf(usage, price);
+    }
+  };
+}
+
+async function readUsage(file) {
+  try { return JSON.parse(await fs.readFile(file, 'utf8')); }
+  catch { return null; }
+}
+
+/**
+ * The day's usage summary after another run: tokens and cost add up across
+ * reruns of the same day, the rest describes the latest run.
+ */
+function mergeUsage(earlier, run) {
+  if (!earlier || earlier.date !== run.date) return { ...run, runs: 1 };
+  const add = (a = 0, b = 0) => a + b;
+  return {
+    ...run,
+    runs: (earlier.runs || 1) + 1,
+    calls: add(earlier.calls, run.calls),
+    tokens: {
+      prompt: add(earlier.tokens?.prompt, run.tokens.prompt),
+      completion: add(earlier.tokens?.completion, run.tokens.completion),
+      total: add(earlier.tokens?.total, run.tokens.total)
+    },
+    cost: +add(earlier.cost, run.cost).toFixed(4),
+    last_run: { calls: run.calls, tokens: run.tokens.total, cost: run.cost }
+  };
+}
+
+function usagePathFor(picksFile) {
+  return picksFile.replace(/\.json$/, '.usage.json');
+}
+
+// { tokens, cost } spent so far in `date`'s month: every usage summary of the
+// archived daily runs and the A/B runs (abRoot/DATE/usage.json), `date`'s own
+// included. Call it before the run writes its summary.
+async function monthToDate(date, root = path.join('docs', 'picks'), abRoot = 'prompt-ab') {
+  const [Y, M] = date.split('-');
+  const dir = path.join(root, Y, M);
+  const files = [
+    ...(await fs.readdir(dir).catch(() => []))
+      .filter(f => /^\d{4}-\d{2}-\d{2}\.usage\.json$/.test(f))
+      .map(f => path.join(dir, f)),
+    ...(await fs.readdir(abRoot).catch(() => []))
+      .filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d) && d.startsWith(`${Y}-${M}-`))
+      .map(d => path.join(abRoot, d, 'usage.json'))
+  ];
+  const total = { tokens: 0, cost: 0 };
+  for (const f of files) {
+    const u = await readUsage(f);
+    total.tokens += u?.tokens?.total || 0;
+    total.cost += u?.cost || 0;
+  }
+  return total;
+}
+
+module.exports = {
+  resolveBudget, createBudget, priceFor, costOf, estimateUsage, raceValue,
+  usagePathFor, readUsage, mergeUsage, monthToDate, PRICE_TABLE, CURRENCY, LIMIT_FLAGS
+};
@@ -0,0 +1,43 @@
+// llm-cache.js
+// On-disk cache of LLM responses, one file per request under .llm-cache/.
+//
+// The key is a hash of provider, model, temperature and the exact messages
+// sent, so it changes whenever the race content does (new odds, a non-runner,
+// a different prompt). A rerun of the analyser only pays for races whose
+// content changed or that didn't come back with a usable answer last time.
+//
+// Entry: { provider, model, content, usage, cached_at }
+
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIR = '.llm-cache';
+
+function cacheKey({ provider, model, temperature }, messages) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ provider, model, temperature, messages }))
+    .digest('hex');
+}
+
+function openResponseCache(dir = DEFAULT_DIR) {
+  const fileFor = key => path.join(dir, `${key}.json`);
+
+  return {
+    dir,
+    async get(key) {
+      try { return JSON.parse(await fs.readFile(fileFor(key), 'utf8')); }
+      catch { return null; }
+    },
+    async put(key, entry) {
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = `${fileFor(key)}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ ...entry, cached_at: new Date().toISOString() }), 'utf8');
+      await fs.rename(tmp, fileFor(key));
+    }
+  };
+}
+
+module.exports = { openResponseCache, cacheKey, DEFAULT_DIR };
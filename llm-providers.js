@@ -0,0 +1,215 @@
+// llm-providers.js
+// Chat-completion providers for analyze-betfair-racecards.js.
+//
+//   perplexity  api.perplexity.ai, web-grounded Sonar models (default)
+//   openai      any OpenAI-compatible /chat/completions endpoint: OpenAI itself,
+//               or a local server (ollama, llama.cpp) via base_url
+//   ollama      openai with base_url http://localhost:11434/v1
+//   llamacpp    openai with base_url http://localhost:8080/v1
+//   mock        deterministic, no network: picks the shortest-priced runners
+//
+// Every provider has the same shape:
+//   { name, model, complete(messages) → { content, usage, raw } }
+// HTTP failures are thrown as Errors with `status` (0 if no response) and `body`;
+// classifyError() says whether to retry, skip the race or stop the run.
+//
+// Settings come from, highest first: CLI flags (--provider, --model,
+// --temperature, --max-tokens, --base-url), env (LLM_PROVIDER, LLM_MODEL,
+// LLM_TEMPERATURE, LLM_MAX_TOKENS, LLM_BASE_URL), the JSON config file
+// (--config FILE, default llm.config.json) and the provider defaults below.
+// API keys only ever come from env.
+
+'use strict';
+
+const axios = require('axios');
+const { toDec } = require('./odds');
+const { argValue } = require('./cli');
+
+const DEFAULTS = {
+  provider: 'perplexity',
+  temperature: 0.1,
+  max_tokens: 800
+};
+
+const PROVIDERS = {
+  perplexity: { base_url: 'https://api.perplexity.ai', model: 'sonar-pro', keyEnv: ['PERPLEXITY_API_KEY', 'PPLX_API_KEY'], keyRequired: true },
+  openai:     { base_url: 'https://api.openai.com/v1', model: 'gpt-4o-mini', keyEnv: ['LLM_API_KEY', 'OPENAI_API_KEY'], keyRequired: true },
+  ollama:     { base_url: 'http://localhost:11434/v1', model: 'llama3.1', keyEnv: ['LLM_API_KEY'], keyRequired: false },
+  llamacpp:   { base_url: 'http://localhost:8080/v1', model: 'local', keyEnv: ['LLM_API_KEY'], keyRequired: false },
+  mock:       { base_url: null, model: 'mock-shortest-price', keyEnv: [], keyRequired: false }
+};
+
+const CLI_FLAGS = ['provider', 'model', 'temperature', 'max-tokens', 'base-url', 'config'];
+
+const num = v => (v == null || v === '' ? undefined : Number(v));
+const pick = (...vals) => vals.find(v => v !== undefined && v !== null && v !== '');
+
+/**
+ * Merge CLI flags, env and the parsed config file into one provider config.
+ * `file` is the config file's contents (already parsed), or null.
+ */
+function resolveLLMConfig({ args = [], env = {}, file = null } = {}) {
+  const f = file || {};
+  const provider = String(pick(argValue('provider', args), env.LLM_PROVIDER, f.provider, DEFAULTS.provider)).toLowerCase();
+  const spec = PROVIDERS[provider];
+  if (!spec) throw new Error(`Unknown LLM provider "${provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+
+  const cfg = {
+    provider,
+    model: pick(argValue('model', args), env.LLM_MODEL, f.model, spec.model),
+    temperature: pick(num(argValue('temperature', args)), num(env.LLM_TEMPERATURE), num(f.temperature), DEFAULTS.temperature),
+    max_tokens: pick(num(argValue('max-tokens', args)), num(env.LLM_MAX_TOKENS), num(f.max_tokens), DEFAULTS.max_tokens),
+    base_url: pick(argValue('base-url', args), env.LLM_BASE_URL, f.base_url, spec.base_url),
+    api_key: pick(...spec.keyEnv.map(k => env[k]))
+  };
+  if (!Number.isFinite(cfg.temperature) || cfg.temperature < 0) throw new Error(`Invalid temperature: ${cfg.temperature}`);
+  if (!Number.isInteger(cfg.max_tokens) || cfg.max_tokens <= 0) throw new Error(`Invalid max tokens: ${cfg.max_tokens}`);
+  if (spec.keyRequired && !cfg.api_key) throw new Error(`Missing ${spec.keyEnv[0]} env var for provider "${provider}".`);
+  return cfg;
+}
+
+// ---------- errors ----------------------------------------------------------
+
+/**
+ * What a failed call means for the run:
+ *   quota        out of credit (often sent as 401/429 insufficient_quota)  fatal
+ *   auth         bad or missing key (401/403)                              fatal
+ *   rate_limit   429, back off and retry
+ *   transient    5xx, timeouts, connection resets: retry
+ *   bad_request  other 4xx: this race only, no retry
+ */
+function classifyError(err) {
+  const status = err?.status || 0;
+  const body = err?.body?.error || err?.body || {};
+  const text = `${body.type || ''} ${body.code || ''} ${body.message || ''} ${err?.message || ''}`.toLowerCase();
+
+  let kind;
+  if (/insufficient_quota|exceeded your current quota|billing|credit balance/.test(text)) kind = 'quota';
+  else if (status === 401 || status === 403) kind = 'auth';
+  else if (status === 429) kind = 'rate_limit';
+  else if (status >= 500 || status === 0) kind = 'transient';
+  else kind = 'bad_request';
+
+  return {
+    kind,
+    status,
+    fatal: kind === 'quota' || kind === 'auth',
+    retry: kind === 'rate_limit' || kind === 'transient'
+  };
+}
+
+// ---------- adapters --------------------------------------------------------
+
+async function postChat(cfg, body) {
+  const url = `${cfg.base_url.replace(/\/+$/, '')}/chat/completions`;
+  const headers = { 'Content-Type': 'application/json' };
+  if (cfg.api_key) headers.Authorization = `Bearer ${cfg.api_key}`;
+
+  try {
+    const res = await axios.post(url, body, { headers, timeout: 60000 });
+    return {
+      content: res?.data?.choices?.[0]?.message?.content || '',
+      usage: res?.data?.usage || null,
+      raw: res.data
+    };
+  } catch (e) {
+    // surface the provider's error body so a 400 says why
+    const status = e?.response?.status || 0;
+    const data = e?.response?.data;
+    const detail = typeof data === 'object' ? JSON.stringify(data) : String(data || '');
+    const err = new Error(`${e?.message || e}${detail ? ` | body: ${detail}` : ''}${status ? ` | status: ${status}` : ''}`);
+    err.status = status;
+    err.body = data ?? null;
+    throw err;
+  }
+}
+
+function perplexityProvider(cfg) {
+  return {
+    name: 'perplexity',
+    model: cfg.model,
+    complete: messages => postChat(cfg, {
+      model: cfg.model,
+      messages,
+      max_tokens: cfg.max_tokens,
+      temperature: cfg.temperature,
+      // response_format makes Sonar return 400, so no JSON mode here
+      return_citations: false
+    })
+  };
+}
+
+function openAICompatibleProvider(cfg) {
+  return {
+    name: cfg.provider,
+    model: cfg.model,
+    complete: messages => postChat(cfg, {
+      model: cfg.model,
+      messages,
+      max_tokens: cfg.max_tokens,
+      temperature: cfg.temperature
+    })
+  };
+}
+
+// The race JSON is the last block of the user prompt (see buildMessages).
+function raceFromMessages(messages) {
+  const text = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+  const at = text.lastIndexOf('Race JSON:');
+  if (at === -1) return null;
+  try { return JSON.parse(text.slice(at + 'Race JSON:'.length)); } catch { return null; }
+}
+
+function mockProvider(cfg) {
+  const price = r => toDec(r.odds?.exchange) || toDec(r.odds?.sbk) || Infinity;
+
+  return {
+    name: 'mock',
+    model: cfg.model,
+    async complete(messages) {
+      const input = raceFromMessages(messages);
+      const field = (input?.runners || [])
+        .filter(r => !r.non_runner)
+        .map((r, i) => ({ r, i, dec: price(r) }));
+      // win_prob = share of the field's implied probability (overround removed)
+      const book = field.reduce((s, x) => s + (Number.isFinite(x.dec) ? 1 / x.dec : 0), 0);
+      const runners = field
+        .sort((a, b) => a.dec - b.dec || a.i - b.i)   // stable on ties
+        .slice(0, 3);
+
+      const content = JSON.stringify({
+        race: input?.race || {},
+        shortlist: runners.map(({ r, dec }, rank) => ({
+          name: r.name,
+          jockey: r.jockey || '',
+          trainer: r.trainer || '',
+          form: r.form || '',
+          odds_note: Number.isFinite(dec) ? `EXC ${dec}` : '',
+          rationale: `Mock pick: #${rank + 1} in the market.`,
+          confidence: rank === 0 ? 'High' : 'Medium',
+          win_prob: Number.isFinite(dec) && book ? +(1 / dec / book).toFixed(3) : 0
+        }))
+      });
+      const prompt = messages.reduce((n, m) => n + String(m.content || '').length, 0);
+      const usage = {
+        prompt_tokens: Math.ceil(prompt / 4),
+        completion_tokens: Math.ceil(content.length / 4),
+        total_tokens: Math.ceil(prompt / 4) + Math.ceil(content.length / 4)
+      };
+      return { content, usage, raw: null };
+    }
+  };
+}
+
+function createProvider(cfg) {
+  switch (cfg.provider) {
+    case 'perplexity': return perplexityProvider(cfg);
+    case 'openai':
+    case 'ollama':
+    case 'llamacpp':   return openAICompatibleProvider(cfg);
+    case 'mock':       return mockProvider(cfg);
+    default: throw new Error(`Unknown LLM provider "${cfg.provider}"`);
+  }
+}
+
+module.exports = { createProvider, resolveLLMConfig, classifyError, PROVIDERS, DEFAULTS, CLI_FLAGS };
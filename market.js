@@ -0,0 +1,96 @@
+// market.js
+// Field-wide market probabilities for a race, with the bookmaker's margin
+// (overround) taken out.
+//
+// A single price's 1/odds overstates its chance by the book's margin, most
+// of all in big fields. marketModel() builds the whole book from the
+// racecard's runners (exchange prices, or SBK when those cover more of the
+// field), and de-margins it three ways:
+//
+//   proportional  p = q / Σq                        (q = 1/decimal odds)
+//   power         p = q^k, k solved so Σp = 1        (shortens favourites less)
+//   shin          Shin's insider-trading model, z solved so Σp = 1
+//                 (takes more margin off longshots: favourite-longshot bias)
+//
+// Unpriced runners are left out of the book. Non-runners never count.
+
+'use strict';
+
+const { toDec } = require('./odds');
+const { horseKey } = require('./identity');
+
+const METHODS = ['proportional', 'shin', 'power'];
+const DEFAULT_METHOD = 'shin';
+
+
+const excDec = r => toDec(r.odds?.exchange ?? r.odds?.exc);
+const sbkDec = r => toDec(r.odds?.sbk);
+
+// Bisection on a monotone f over [lo, hi] for f(x) = 0
+function solve(f, lo, hi, iterations = 100) {
+  for (let i = 0; i < iterations; i++) {
+    const mid = (lo + hi) / 2;
+    if (f(lo) * f(mid) <= 0) hi = mid; else lo = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+function proportional(q) {
+  const book = q.reduce((a, b) => a + b, 0);
+  return q.map(x => x / book);
+}
+
+function power(q) {
+  const book = q.reduce((a, b) => a + b, 0);
+  if (Math.abs(book - 1) < 1e-9) return q.slice();
+  // Σ q^k is decreasing in k (q < 1): k > 1 for an overround, < 1 for an underround
+  const k = solve(k => q.reduce((a, x) => a + x ** k, 0) - 1, 0.01, 10);
+  return q.map(x => x ** k);
+}
+
+function shin(q) {
+  const book = q.reduce((a, b) => a + b, 0);
+  if (book <= 1) return proportional(q);   // no margin to explain
+  const probs = z => q.map(x => (Math.sqrt(z * z + 4 * (1 - z) * x * x / book) - z) / (2 * (1 - z)));
+  const z = solve(z => probs(z).reduce((a, b) => a + b, 0) - 1, 0, 0.5);
+  return probs(z);
+}
+
+const DEMARGIN = { proportional, shin, power };
+
+/**
+ * Fair probabilities for decimal prices (all > 1), in the same order.
+ * → { proportional: [...], shin: [...], power: [...] }
+ */
+function fairProbs(decs) {
+  const q = decs.map(d => 1 / d);
+  return Object.fromEntries(METHODS.map(m => [m, DEMARGIN[m](q)]));
+}
+
+/**
+ * The de-margined book for one racecard race.
+ * → { source: 'exchange'|'sbk', overround, runners: Map(horseKey → { dec, implied, fair: { method: p } }) }
+ *   or null when fewer than two runners are priced.
+ */
+function marketModel(race) {
+  const field = (race?.runners || []).filter(r => !r.non_runner);
+  const exc = field.filter(r => excDec(r) > 1), sbk = field.filter(r => sbkDec(r) > 1);
+  const [source, priced, dec] = exc.length >= sbk.length ? ['exchange', exc, excDec] : ['sbk', sbk, sbkDec];
+  if (priced.length < 2) return null;
+
+  const decs = priced.map(dec);
+  const fair = fairProbs(decs);
+  const runners = new Map(priced.map((r, i) => [horseKey(r.name), {
+    dec: decs[i],
+    implied: 1 / decs[i],
+    fair: Object.fromEntries(METHODS.map(m => [m, fair[m][i]]))
+  }]));
+  return { source, overround: decs.reduce((a, d) => a + 1 / d, 0), runners };
+}
+
+// The runner's entry in a marketModel(), by name
+function runnerMarket(model, name) {
+  return model?.runners.get(horseKey(name)) || null;
+}
+
+module.exports = { marketModel, runnerMarket, fairProbs, METHODS, DEFAULT_METHOD };
@@ -0,0 +1,129 @@
+// multiples.js
+// Doubles, trebles, Yankees and Lucky 15s from a day's filtered picks, and
+// their settlement once results are in.
+//
+// Legs are the strongest pick (highest win probability) of different races,
+// at least min_leg_prob, best first. Each proposal:
+//
+//   { type, unit_stake, lines, stake, legs: [{ course, time, name, oddsDec, probability }],
+//     bets: [{ legs: [leg indexes], odds, probability, expected_value }],
+//     odds, probability, expected_value }          (the whole multiple's EV per unit staked)
+//
+// Legs are treated as independent (different races), so a line's odds and
+// probability are the products of its legs'. Settlement: a losing leg loses
+// the line, a void leg (non-runner) drops out at odds 1, Rule 4 comes off a
+// leg's winnings; a line whose legs are all void returns its stake.
+
+'use strict';
+
+const { sameHorse, raceKey } = require('./identity');
+
+const TYPES = {
+  double:  { legs: 2, sizes: [2] },
+  treble:  { legs: 3, sizes: [3] },
+  yankee:  { legs: 4, sizes: [2, 3, 4] },          // 11 bets
+  lucky15: { legs: 4, sizes: [1, 2, 3, 4] }        // 15 bets
+};
+
+const DEFAULTS = { types: ['double', 'treble', 'yankee', 'lucky15'], unit_stake: 1, min_leg_prob: 0 };
+
+const round = (x, d = 4) => +x.toFixed(d);
+
+// every k-subset of [0..n), in order
+function combinations(n, k, start = 0) {
+  if (k === 0) return [[]];
+  const out = [];
+  for (let i = start; i <= n - k; i++) {
+    for (const rest of combinations(n, k - 1, i + 1)) out.push([i, ...rest]);
+  }
+  return out;
+}
+
+// the strongest pick of each race, best first (select-top3 output: probability in %)
+function pickLegs(races, minLegProb = 0) {
+  return races
+    .map(r => {
+      const best = (r.shortlist || []).filter(p => p.oddsDec > 1 && !p.void)
+        .sort((a, b) => b.probability - a.probability)[0];
+      return best && { course: r.course, time: r.time, name: best.name, oddsDec: best.oddsDec, probability: best.probability / 100 };
+    })
+    .filter(l => l && l.probability >= minLegProb)
+    .sort((a, b) => b.probability - a.probability);
+}
+
+/**
+ * → [multiple proposals] for the configured types there are enough legs for.
+ * `options`: { types, unit_stake, min_leg_prob }
+ */
+function buildMultiples(races, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const legs = pickLegs(races, opts.min_leg_prob);
+  const out = [];
+  for (const type of opts.types) {
+    const spec = TYPES[type];
+    if (!spec) throw new Error(`Unknown multiple "${type}". Known: ${Object.keys(TYPES).join(', ')}`);
+    if (legs.length < spec.legs) continue;
+    const chosen = legs.slice(0, spec.legs);
+    const bets = spec.sizes.flatMap(k => combinations(chosen.length, k)).map(idx => {
+      const odds = idx.reduce((a, i) => a * chosen[i].oddsDec, 1);
+      const probability = idx.reduce((a, i) => a * chosen[i].probability, 1);
+      return { legs: idx, odds: round(odds, 2), probability: round(probability), expected_value: round(probability * odds - 1, 3) };
+    });
+    const stake = bets.length * opts.unit_stake;
+    // expected return over total stake, lines weighted equally
+    const ev = bets.reduce((a, b) => a + (b.expected_value + 1) * opts.unit_stake, 0) / stake - 1;
+    out.push({
+      type,
+      unit_stake: opts.unit_stake,
+      lines: bets.length,
+      stake: round(stake, 2),
+      legs: chosen.map(l => ({ ...l, probability: round(l.probability) })),
+      bets,
+      ...(bets.length === 1 ? { odds: bets[0].odds, probability: bets[0].probability } : {}),
+      expected_value: round(ev, 3)
+    });
+  }
+  return out;
+}
+
+// 'won' | 'lost' | 'void' | null (no result yet), plus the Rule 4 deduction
+function legOutcome(leg, results) {
+  const res = (results?.results || []).find(r => raceKey(r) === raceKey(leg));
+  if (!res?.winner?.name) return { outcome: null, rule4: 0 };
+  if ((res.void_picks || []).some(n => sameHorse(n, leg.name))) return { outcome: 'void', rule4: 0 };
+  const won = sameHorse(res.winner.name, leg.name);
+  return { outcome: won ? 'won' : 'lost', rule4: Number(res.rule4_deduction) || 0 };
+}
+
+/**
+ * Settle a proposal against the day's results file.
+ * → { ...multiple, status: 'settled' | 'pending', returned, pnl, legs: [..., outcome] }
+ */
+function settleMultiple(multi, results) {
+  const outcomes = multi.legs.map(l => legOutcome(l, results));
+  const legs = multi.legs.map((l, i) => ({ ...l, outcome: outcomes[i].outcome }));
+  // a line already lost on a settled leg doesn't wait for the others
+  const lineReturn = bet => {
+    if (bet.legs.some(i => outcomes[i].outcome === 'lost')) return 0;
+    if (bet.legs.some(i => outcomes[i].outcome === null)) return null;
+    let odds = 1;
+    for (const i of bet.legs) {
+      const o = outcomes[i];
+      if (o.outcome === 'won') odds *= 1 + (multi.legs[i].oddsDec - 1) * (1 - o.rule4);
+    }
+    return multi.unit_stake * odds;
+  };
+  const returns = multi.bets.map(lineReturn);
+  if (returns.some(r => r === null)) return { ...multi, legs, status: 'pending' };
+  const returned = returns.reduce((a, b) => a + b, 0);
+  return {
+    ...multi,
+    legs,
+    bets: multi.bets.map((b, i) => ({ ...b, returned: round(returns[i], 2) })),
+    status: 'settled',
+    returned: round(returned, 2),
+    pnl: round(returned - multi.stake, 2)
+  };
+}
+
+module.exports = { buildMultiples, settleMultiple, pickLegs, combinations, TYPES, DEFAULTS };
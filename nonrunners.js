@@ -0,0 +1,87 @@
+// nonrunners.js
+// Reconcile published picks against the live racecard before the off.
+//
+// Fields written on an archived picks race:
+//   withdrawals:     [{ name, price, deduction, picked }]   horses now out of the race
+//   rule4_deduction: 0.15                                   combined Rule 4 for bets struck earlier
+//   reconciled_at:   ISO
+// and on a withdrawn pick:
+//   non_runner: true, void: true                           stake returned, not a loser
+
+'use strict';
+
+const { toDec } = require('./odds');
+const { rule4Deduction, combinedRule4 } = require('./rule4');
+const { horseKey } = require('./identity');
+
+
+// Last usable price we saw for a runner before it came out.
+function lastKnownPrice(runner) {
+  const points = [...(runner?.odds_history || [])].reverse();
+  for (const h of points) {
+    if (toDec(h.exchange)) return h.exchange;
+    if (toDec(h.sbk)) return h.sbk;
+  }
+  return runner?.odds?.exchange || runner?.odds?.exc || runner?.odds?.sbk || null;
+}
+
+/**
+ * Names withdrawn from a race since the morning card: flagged NR on the live
+ * card, or declared on the morning card but gone from the live one.
+ * `live` is extractRunners() output. Horses already NR when the card was
+ * scraped were out before any pick was made, so they don't count.
+ */
+function findWithdrawn(cardRace, live) {
+  const runners = cardRace?.runners || [];
+  const outEarly = new Set(runners.filter(r => r.non_runner && !r.withdrawn_at).map(r => horseKey(r.name)));
+  const out = new Set();
+  for (const r of live || []) if (r.non_runner) out.add(horseKey(r.name));
+  for (const r of runners) if (r.withdrawn_at) out.add(horseKey(r.name));
+
+  // a half-rendered page would look like mass withdrawals; only trust a full card
+  if (live && live.length && live.length >= runners.length / 2) {
+    const liveNames = new Set(live.map(r => horseKey(r.name)));
+    for (const r of runners) if (!liveNames.has(horseKey(r.name))) out.add(horseKey(r.name));
+  }
+  for (const key of outEarly) out.delete(key);
+  return out;
+}
+
+/**
+ * Mark withdrawn picks void and record the Rule 4 deduction on the race (in place).
+ * Returns the withdrawals found.
+ */
+function reconcileRace(pickRace, cardRace, live, { at = new Date().toISOString() } = {}) {
+  const withdrawn = findWithdrawn(cardRace, live);
+  const picked = new Set((pickRace.shortlist || []).map(p => horseKey(p.name)));
+
+  const withdrawals = [...withdrawn].map(key => {
+    const runner = (cardRace?.runners || []).find(r => horseKey(r.name) === key)
+      || (live || []).find(r => horseKey(r.name) === key);
+    const price = lastKnownPrice(runner);
+    return { name: runner?.name || key, price, deduction: rule4Deduction(price), picked: picked.has(key) };
+  });
+
+  for (const pick of pickRace.shortlist || []) {
+    if (withdrawn.has(horseKey(pick.name))) {
+      pick.non_runner = true;
+      pick.void = true;
+    }
+  }
+
+  pickRace.withdrawals = withdrawals;
+  pickRace.rule4_deduction = combinedRule4(withdrawals.map(w => w.price));
+  pickRace.reconciled_at = at;
+
+  // keep the racecard in step so later runs (and odds tracking) see the NR
+  for (const r of cardRace?.runners || []) {
+    if (withdrawn.has(horseKey(r.name)) && !r.withdrawn_at) {
+      r.non_runner = true;
+      r.withdrawn_at = at;
+    }
+  }
+
+  return withdrawals;
+}
+
+module.exports = { reconcileRace, findWithdrawn, lastKnownPrice };
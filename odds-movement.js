@@ -0,0 +1,105 @@
+// odds-movement.js
+// Intraday price history per runner and steamer/drifter detection.
+//
+// Runner fields added to betfair-racecards-YYYY-MM-DD.json by track-odds.js:
+//   odds_history: [{ at: ISO, label: 'declared' | 'morning' | 'midday' | 'pre_off' | …, sbk, exchange }]
+//   market_move:  { basis: 'exchange' | 'sbk', from, to, prob_change, flag: 'steamer' | 'drifter' | null }
+//
+// The first history point ('declared') is the price from the original scrape,
+// i.e. the one the analysis and selection were based on.
+//
+// Picks get the same two fields, with the move measured from the last price
+// at or before the picks were generated.
+
+'use strict';
+
+const { toDec } = require('./odds');
+const { horseKey, matchHorse, raceKey } = require('./identity');
+
+// price ratio that counts as a significant move: 5.0 → 4.0 steams, 4.0 → 5.0 drifts
+const MOVE_THRESHOLD = 1.25;
+
+function marketMove(history) {
+  if (!Array.isArray(history) || history.length < 2) return null;
+  const first = history[0], last = history[history.length - 1];
+
+  // prefer the exchange, it's the sharper price; fall back to the bookmaker
+  for (const basis of ['exchange', 'sbk']) {
+    const from = toDec(first[basis]), to = toDec(last[basis]);
+    if (!from || !to || from <= 1 || to <= 1) continue;
+    const ratio = from / to;
+    return {
+      basis,
+      from: +from.toFixed(2),
+      to: +to.toFixed(2),
+      prob_change: +(ratio - 1).toFixed(3),       // relative change in implied probability
+      flag: ratio >= MOVE_THRESHOLD ? 'steamer' : (1 / ratio) >= MOVE_THRESHOLD ? 'drifter' : null
+    };
+  }
+  return null;
+}
+
+/**
+ * Append one price reading to every runner in a racecard race.
+ * `fresh` is the runner list just scraped from the racecard page.
+ */
+function recordOdds(race, fresh, { at, label, declaredAt = null }) {
+  const byName = new Map((fresh || []).map(r => [horseKey(r.name), r]));
+  for (const runner of race.runners || []) {
+    if (!runner.odds_history) {
+      runner.odds_history = [{
+        at: declaredAt,
+        label: 'declared',
+        sbk: runner.odds?.sbk || '',
+        exchange: runner.odds?.exchange ?? runner.odds?.exc ?? ''
+      }];
+    }
+    const now = byName.get(horseKey(runner.name));
+    if (!now) continue;
+    if (now.non_runner && !runner.non_runner) {
+      runner.non_runner = true;
+      runner.withdrawn_at = at;
+    }
+    runner.odds_history.push({ at, label, sbk: now.odds?.sbk || '', exchange: now.odds?.exchange || '' });
+    runner.market_move = marketMove(runner.odds_history);
+  }
+  return race;
+}
+
+// history from the last reading at or before `since` (the whole thing if none qualifies)
+function historySince(history, since) {
+  if (!since) return history;
+  const t = Date.parse(since);
+  let start = 0;
+  history.forEach((h, i) => { if (h.at && Date.parse(h.at) <= t) start = i; });
+  return history.slice(start);
+}
+
+/**
+ * Copy runner price history onto the picks of the same day (in place).
+ * Races are matched by URL, then course + time; picks by horse (identity.js).
+ */
+function annotatePicks(picksData, racecards) {
+  const byUrl = new Map(), byKey = new Map();
+  for (const r of racecards.races || []) {
+    if (r.url) byUrl.set(r.url, r);
+    byKey.set(raceKey(r), r);
+  }
+
+  let moved = 0;
+  for (const race of picksData.races || []) {
+    const card = byUrl.get(race.url) || byKey.get(raceKey(race));
+    if (!card) continue;
+    for (const pick of race.shortlist || []) {
+      const runner = matchHorse(pick.name, card.runners, `${race.course} ${race.time}`);
+      if (!runner || !runner.odds_history) continue;
+      const history = historySince(runner.odds_history, picksData.generated_at);
+      pick.price_history = history;
+      pick.market_move = marketMove(history);
+      if (pick.market_move?.flag) moved++;
+    }
+  }
+  return moved;
+}
+
+module.exports = { marketMove, recordOdds, annotatePicks, historySince, MOVE_THRESHOLD };
@@ -0,0 +1,51 @@
+// odds.js
+// Price and probability parsing shared by the selection, odds-tracking and
+// reporting scripts.
+
+'use strict';
+
+// "5/2" | "3.5" | 3.5 | "EXC 4.8" | "10/3 SBK, 4.8 Exchange" | "Evs" → decimal odds (first price found)
+function toDec(odds) {
+  if (odds == null || odds === '') return null;
+  if (typeof odds === 'number') return Number.isFinite(odds) ? odds : null;
+  const s = String(odds).trim();
+
+  // Evens: "evens", "EVS", "Evs", "even money"
+  if (/^(?:evens|evs|even money)\b/i.test(s)) return 2;
+
+  // Decimal format
+  if (/^\d+(\.\d+)?$/.test(s)) return parseFloat(s);
+
+  // Fractional like 5/2 → 3.5
+  const frac = s.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (frac) {
+    const a = +frac[1], b = +frac[2];
+    if (b > 0) return a / b + 1;
+  }
+
+  // Extract from strings like "EXC 4.8"
+  const num = s.match(/(\d+(?:\.\d+)?)(?:\s*\/\s*(\d+))?/);
+  if (num) {
+    if (num[2]) {
+      const a = +num[1], b = +num[2];
+      if (b > 0) return a / b + 1;
+    }
+    return parseFloat(num[1]);
+  }
+  return null;
+}
+
+function impliedProb(odds) {
+  const d = toDec(odds);
+  return d && d > 1 ? 1 / d : 0;
+}
+
+// A model-supplied probability: a number (or numeric string) in 0..1, else null.
+// Percentages like 35 are rejected rather than guessed at.
+function parseProb(v) {
+  if (v == null || v === '' || typeof v === 'boolean') return null;
+  const p = typeof v === 'number' ? v : Number(String(v).trim());
+  return Number.isFinite(p) && p >= 0 && p <= 1 ? p : null;
+}
+
+module.exports = { toDec, impliedProb, parseProb };
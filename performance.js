@@ -0,0 +1,149 @@
+// performance.js
+// Historical performance by dimension, from settled bets (settlement.js
+// ledgers joined to the picks they came from).
+//
+// A bet row: { date, time, course, race_type, odds, confidence, jockey,
+// trainer, status, stake, returned, pnl } on one price basis.
+//
+// For every group of a dimension (and overall):
+//
+//   bets, wins, strike_rate           wins / bets (each-way places aren't wins)
+//   staked, returned, pnl, roi        roi = pnl / staked
+//   longest_losing_run                most losing bets in a row, oldest first
+//   max_drawdown                      biggest fall in cumulative P/L from its
+//                                     peak, in stake units (no bank involved)
+
+'use strict';
+
+const { personKey } = require('./identity');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// [upper bound (exclusive), label] on decimal odds
+const ODDS_BANDS = [
+  [2, 'under 2.0'],
+  [4, '2.0-3.99'],
+  [8, '4.0-7.99'],
+  [16, '8.0-15.99'],
+  [Infinity, '16.0+']
+];
+
+const oddsBand = dec => (dec > 1 ? ODDS_BANDS.find(([max]) => dec < max)[1] : 'unknown');
+
+// dimension → the group a bet falls in (people grouped by identity key)
+const DIMENSIONS = {
+  course: b => b.course || 'unknown',
+  race_type: b => b.race_type || 'unknown',
+  odds_band: b => oddsBand(b.odds),
+  confidence: b => (b.confidence ? String(b.confidence).toLowerCase() : 'unknown'),
+  jockey: b => (b.jockey ? personKey(b.jockey) : 'unknown'),
+  trainer: b => (b.trainer ? personKey(b.trainer) : 'unknown'),
+  weekday: b => WEEKDAYS[new Date(`${b.date}T12:00:00Z`).getUTCDay()],
+  month: b => b.date.slice(0, 7)
+};
+
+const round = (x, d = 2) => +x.toFixed(d);
+const chrono = (a, b) => a.date.localeCompare(b.date) || String(a.time || '').localeCompare(String(b.time || ''));
+
+function summarize(bets) {
+  let wins = 0, staked = 0, returned = 0, run = 0, longest = 0, cum = 0, peak = 0, drawdown = 0;
+  for (const b of [...bets].sort(chrono)) {
+    if (b.status === 'won') wins++;
+    staked += b.stake;
+    returned += b.returned;
+    run = b.pnl < 0 ? run + 1 : 0;
+    longest = Math.max(longest, run);
+    cum += b.pnl;
+    peak = Math.max(peak, cum);
+    drawdown = Math.max(drawdown, peak - cum);
+  }
+  return {
+    bets: bets.length,
+    wins,
+    strike_rate: bets.length ? round(wins / bets.length, 4) : 0,
+    staked: round(staked),
+    returned: round(returned),
+    pnl: round(returned - staked),
+    roi: staked ? round((returned - staked) / staked, 4) : 0,
+    longest_losing_run: longest,
+    max_drawdown: round(drawdown)
+  };
+}
+
+/**
+ * → { overall, dimensions: { course: [{ group, label, …summary }], … } }
+ * Groups are sorted by bets, most first; `label` is the name as first written.
+ */
+function performanceReport(bets, { dimensions = Object.keys(DIMENSIONS) } = {}) {
+  const out = { overall: summarize(bets), dimensions: {} };
+  for (const dim of dimensions) {
+    const groupOf = DIMENSIONS[dim];
+    if (!groupOf) throw new Error(`Unknown dimension "${dim}". Known: ${Object.keys(DIMENSIONS).join(', ')}`);
+    const groups = new Map();
+    for (const b of bets) {
+      const g = groupOf(b);
+      if (!groups.has(g)) groups.set(g, { label: dim === 'jockey' || dim === 'trainer' ? b[dim] || g : g, bets: [] });
+      groups.get(g).bets.push(b);
+    }
+    out.dimensions[dim] = [...groups].map(([group, { label, bets: gb }]) => ({ group, label, ...summarize(gb) }))
+      .sort((a, b) => b.bets - a.bets || a.label.localeCompare(b.label));
+  }
+  return out;
+}
+
+/**
+ * Settled bets of one ledger on `basis`, with the pick and race details the
+ * dimensions need. Unsettled, void and unpriced bets are left out.
+ */
+function ledgerBets(ledger, picks, basis = 'advised') {
+  const key = (course, time, name) => `${course}||${time}||${name}`;
+  const pickInfo = new Map();
+  for (const race of picks?.races || []) {
+    for (const p of race.shortlist || []) pickInfo.set(key(race.course, race.time, p.name), { race, pick: p });
+  }
+  return (ledger.bets || [])
+    .filter(b => ['won', 'placed', 'lost'].includes(b.status) && b.stake > 0 && b.returned?.[basis] != null)
+    .map(b => {
+      const { race = {}, pick = {} } = pickInfo.get(key(b.course, b.time, b.name)) || {};
+      return {
+        date: ledger.date,
+        time: b.time,
+        course: b.course,
+        race_type: race.race_type || null,
+        odds: b.prices[basis],
+        confidence: pick.confidence || null,
+        jockey: pick.jockey || null,
+        trainer: pick.trainer || null,
+        status: b.status,
+        stake: b.stake,
+        returned: b.returned[basis],
+        pnl: b.pnl[basis]
+      };
+    });
+}
+
+const pct = x => `${(x * 100).toFixed(1)}%`;
+const signed = x => `${x >= 0 ? '+' : ''}${x.toFixed(2)}`;
+
+/**
+ * Markdown tables, one per dimension: groups with at least `minBets` bets,
+ * the `top` biggest.
+ */
+function toMarkdown(report, { title = 'Performance', minBets = 10, top = 20 } = {}) {
+  const head = '| Group | Bets | Wins | Strike rate | Staked | P/L | ROI | Longest losing run | Max drawdown |';
+  const rule = '|---|---:|---:|---:|---:|---:|---:|---:|---:|';
+  const row = (label, s) => `| ${label} | ${s.bets} | ${s.wins} | ${pct(s.strike_rate)} | ${s.staked.toFixed(2)} | ${signed(s.pnl)} | ${pct(s.roi)} | ${s.longest_losing_run} | ${s.max_drawdown.toFixed(2)} |`;
+  const m = report.meta || {};
+  const lines = [`# ${title}`, ''];
+  if (m.from) lines.push(`${m.from} to ${m.to}, ${m.days} settled days, ${m.basis} prices. Generated ${m.generated_at}.`, '');
+  lines.push('## Overall', '', head, rule, row('All bets', report.overall), '');
+  for (const [dim, groups] of Object.entries(report.dimensions)) {
+    const shown = groups.filter(g => g.bets >= minBets).slice(0, top);
+    lines.push(`## By ${dim.replace('_', ' ')}`, '');
+    if (!shown.length) { lines.push(`No group with ${minBets}+ bets.`, ''); continue; }
+    lines.push(head, rule, ...shown.map(g => row(g.label, g)), '');
+  }
+  return lines.join('\n');
+}
+
+module.exports = { performanceReport, summarize, ledgerBets, toMarkdown, oddsBand, DIMENSIONS, ODDS_BANDS };
@@ -0,0 +1,76 @@
+// prompt-compare.js
+// Scores prompt variants against docs/results: race hit rate and level-stake
+// P/L (1 unit per pick at its advised price), settled by settlement.js like
+// the published picks.
+//
+// Only races every variant of that day analysed are counted, so a variant
+// isn't flattered by the races another one failed on. Void (non-runner)
+// picks are left out; dead heats and Rule 4 are settled as in the ledger.
+
+'use strict';
+
+const { settlePick } = require('./settlement');
+const { horseKey, sameHorse, raceKey } = require('./identity');
+
+const analysed = race => (race._status ? race._status === 'ok' : Array.isArray(race.shortlist));
+
+function emptyScore(prompt) {
+  return { prompt, days: 0, races: 0, settled: 0, hits: 0, picks: 0, bets: 0, wins: 0, staked: 0, pnl: 0 };
+}
+
+/**
+ * variants: [{ prompt, date, data }]  (data = a picks file)
+ * resultsByDate: { 'YYYY-MM-DD': docs/results file }
+ * → [{ prompt, days, races, settled, hits, hit_rate, picks, bets, wins, staked, pnl, roi }]
+ */
+function comparePrompts(variants, resultsByDate) {
+  const scores = new Map();
+  const byDate = new Map();
+  for (const v of variants) {
+    if (!byDate.has(v.date)) byDate.set(v.date, []);
+    byDate.get(v.date).push(v);
+    if (!scores.has(v.prompt)) scores.set(v.prompt, emptyScore(v.prompt));
+  }
+
+  for (const [date, dayVariants] of byDate) {
+    // races every variant analysed that day
+    const sets = dayVariants.map(v => new Set((v.data.races || []).filter(analysed).map(raceKey)));
+    const common = [...sets[0]].filter(k => sets.every(s => s.has(k)));
+    const results = new Map((resultsByDate[date]?.results || []).map(r => [raceKey(r), r]));
+
+    for (const v of dayVariants) {
+      const score = scores.get(v.prompt);
+      score.days++;
+      const races = new Map((v.data.races || []).map(r => [raceKey(r), r]));
+      for (const key of common) {
+        score.races++;
+        const res = results.get(key);
+        if (!res?.winner?.name) continue;
+        score.settled++;
+
+        const voided = new Set((res.void_picks || []).map(horseKey));
+        const picks = (races.get(key).shortlist || []).filter(p => !p.void && !voided.has(horseKey(p.name)));
+        score.picks += picks.length;
+        if (picks.some(p => sameHorse(p.name, res.winner.name))) score.hits++;
+
+        for (const p of picks) {
+          const bet = settlePick({ ...p, stake: 1 }, races.get(key), res);
+          if (bet.pnl?.advised == null || bet.status === 'void') continue;
+          score.bets++;
+          score.staked += 1;
+          if (bet.status === 'won') score.wins++;
+          score.pnl += bet.pnl.advised;
+        }
+      }
+    }
+  }
+
+  return [...scores.values()].map(s => ({
+    ...s,
+    pnl: +s.pnl.toFixed(2),
+    hit_rate: s.settled ? +(s.hits / s.settled).toFixed(3) : null,
+    roi: s.staked ? +(s.pnl / s.staked).toFixed(3) : null
+  }));
+}
+
+module.exports = { comparePrompts };
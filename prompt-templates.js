@@ -0,0 +1,67 @@
+// prompt-templates.js
+// Named, versioned analyser prompts, one JSON file each in prompts/:
+//
+//   prompts/<name>.v<N>.json
+//   { name, version, description, system: "…", user: ["line", "{{schema}}", …] }
+//
+// The prompt id is "<name>.v<N>" (e.g. handicapper.v1) and is recorded on
+// every picks file and race it produced. Never edit a published version:
+// copy it to the next version number and change that, so old picks stay
+// tied to the wording that made them.
+//
+// {{placeholders}} in system or user lines are filled by renderMessages();
+// user lines are joined with newlines.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const PROMPTS_DIR = path.join(__dirname, 'prompts');
+const DEFAULT_PROMPT = 'handicapper.v1';
+const ID_RE = /^([a-z0-9-]+)\.v(\d+)$/;
+
+function listPrompts(dir = PROMPTS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(f => f.replace(/\.json$/, ''))
+    .filter(id => ID_RE.test(id))
+    .sort((a, b) => {
+      const [, na, va] = a.match(ID_RE), [, nb, vb] = b.match(ID_RE);
+      return na.localeCompare(nb) || Number(va) - Number(vb);
+    });
+}
+
+function loadPrompt(id = DEFAULT_PROMPT, dir = PROMPTS_DIR) {
+  const m = String(id).match(ID_RE);
+  if (!m) throw new Error(`Bad prompt id "${id}". Use <name>.v<N>, e.g. ${DEFAULT_PROMPT}.`);
+  const file = path.join(dir, `${id}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Unknown prompt "${id}". Available: ${listPrompts(dir).join(', ') || 'none'}.`);
+  }
+  const tpl = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (tpl.name !== m[1] || Number(tpl.version) !== Number(m[2])) {
+    throw new Error(`${file} says ${tpl.name}.v${tpl.version}; the file name and contents must agree.`);
+  }
+  if (typeof tpl.system !== 'string' || !Array.isArray(tpl.user)) {
+    throw new Error(`${file} needs a "system" string and a "user" array of lines.`);
+  }
+  return { id, ...tpl };
+}
+
+function fill(text, vars, id) {
+  return text.replace(/\{\{(\w+)\}\}/g, (_, key) => {
+    if (!(key in vars)) throw new Error(`Prompt ${id} uses {{${key}}} but no value was given.`);
+    return vars[key];
+  });
+}
+
+// → [system, user] chat messages
+function renderMessages(tpl, vars) {
+  return [
+    { role: 'system', content: fill(tpl.system, vars, tpl.id) },
+    { role: 'user', content: tpl.user.map(line => fill(line, vars, tpl.id)).join('\n') }
+  ];
+}
+
+module.exports = { loadPrompt, listPrompts, renderMessages, DEFAULT_PROMPT, PROMPTS_DIR };
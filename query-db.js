@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Ask the local racing database common questions (see racing-db.js; load it
+ * first with ingest-db.js). Strike rates count settled runs only.
+ *
+ * Trainer and jockey strike rates (trainer, jockey, course) only count races
+ * with a racecard. Results don't name trainers or jockeys, so without the
+ * card the only runs known are our own picks, and the figure would measure
+ * the picks rather than the trainer. With few racecards archived they rest on
+ * few races; the runs left out are printed as "uncarded".
+ *
+ * Usage:
+ *   node query-db.js trainer "Tim Easterby" [--course Catterick Bridge]
+ *   node query-db.js jockey "Billy Loughnane" [--course Ayr]
+ *   node query-db.js horse "Happier"                 every settled run
+ *   node query-db.js course Ascot [--kind jockey] [--min-runs 5]
+ *                                                    best strike rates there
+ *   node query-db.js picks                           strike rate by source and confidence
+ *   node query-db.js sql "SELECT …"                  any read-only query
+ *
+ *   --from YYYY-MM-DD --to YYYY-MM-DD   (trainer, jockey, picks)
+ *   --db FILE                           default racing.db
+ *   --json                              print JSON instead of a table
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { openDb, strikeRate, horseRuns, courseLeaders, pickStrikeRates, DEFAULT_DB } = require('./racing-db');
+const { argValue, positionalArgs } = require('./cli');
+
+const pct = x => (x == null ? 'n/a' : `${(x * 100).toFixed(1)}%`);
+
+function printTable(rows) {
+  if (!rows.length) { console.log('(no rows)'); return; }
+  const cols = Object.keys(rows[0]);
+  const cell = v => (v == null ? '' : String(v));
+  const right = v => typeof v === 'number' || /^-?[\d.]+%$/.test(v);
+  const width = cols.map(c => Math.max(c.length, ...rows.map(r => cell(r[c]).length)));
+  console.log(cols.map((c, i) => c.padEnd(width[i])).join('  '));
+  for (const r of rows) console.log(cols.map((c, i) => (right(r[c]) ? cell(r[c]).padStart(width[i]) : cell(r[c]).padEnd(width[i]))).join('  '));
+}
+
+(function main() {
+  const args = process.argv.slice(2);
+  const [command, subject] = positionalArgs(args, ['db', 'from', 'to', 'course', 'kind', 'min-runs']);
+  const file = argValue('db') || DEFAULT_DB;
+  if (!fs.existsSync(file)) {
+    console.error(`No database at ${file}; run node ingest-db.js first.`);
+    process.exit(1);
+  }
+  const db = openDb(file);
+  const range = { from: argValue('from'), to: argValue('to') };
+  const json = args.includes('--json');
+
+  let rows;
+  if ((command === 'trainer' || command === 'jockey') && subject) {
+    const course = argValue('course');
+    const s = strikeRate(db, command, subject, { ...range, course });
+    if (json) { console.log(JSON.stringify(s, null, 2)); return; }
+    console.log(`${subject}${course ? ` at ${course}` : ''}: ${s.wins} wins from ${s.runs} runs in carded races (${pct(s.strike_rate)})` +
+      (s.uncarded_runs ? `, ${s.uncarded_runs} uncarded runs left out` : ''));
+    rows = s.by_course.map(c => ({ ...c, strike_rate: pct(c.strike_rate) }));
+  } else if (command === 'horse' && subject) {
+    rows = horseRuns(db, subject);
+  } else if (command === 'course' && subject) {
+    rows = courseLeaders(db, subject, { kind: argValue('kind') || 'trainer', minRuns: Number(argValue('min-runs') || 5) });
+    if (!json) rows = rows.map(r => ({ ...r, strike_rate: pct(r.strike_rate) }));
+  } else if (command === 'picks') {
+    rows = pickStrikeRates(db, range);
+    if (!json) rows = rows.map(r => ({ ...r, strike_rate: pct(r.strike_rate) }));
+  } else if (command === 'sql' && subject) {
+    let stmt;
+    try { stmt = db.prepare(subject); }
+    catch (e) { console.error(e.message); process.exit(1); }
+    if (!stmt.readonly) {
+      console.error('Only read-only queries; the database is rebuilt from the JSON files by ingest-db.js.');
+      process.exit(1);
+    }
+    rows = stmt.all();
+  } else {
+    console.error('Usage: node query-db.js trainer|jockey|horse|course NAME, picks, or sql "SELECT …" (see the header of query-db.js)');
+    process.exit(1);
+  }
+  if (json) console.log(JSON.stringify(rows, null, 2));
+  else printTable(rows);
+  db.close();
+})();
@@ -0,0 +1,117 @@
+// race-dates.js
+// Racing-day date helpers and the shared --date/--today/--yesterday/--tomorrow
+// CLI flags used by the scrapers.
+//
+// Dates are plain 'YYYY-MM-DD' strings in local time (CI runs with
+// TZ=Europe/Dublin). Day arithmetic goes through the calendar, not "now - 24h",
+// so the clock change weekends don't skip or repeat a day.
+
+'use strict';
+
+const { argValue } = require('./cli');
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'];
+
+const MAX_RANGE_DAYS = 31;
+
+function pad(n){ return String(n).padStart(2, '0'); }
+function toYMD(d){ return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`; }
+
+function todayISO() { return toYMD(new Date()); }
+
+// 'YYYY-MM-DD' or 'DD/MM/YYYY' → 'YYYY-MM-DD' (null if not a real date)
+function parseDateFlexible(s) {
+  if (!s) return null;
+  s = String(s).trim();
+
+  let y, m, d;
+  let hit = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (hit) [y, m, d] = [+hit[1], +hit[2], +hit[3]];
+  else if ((hit = s.match(/^(\d{2})\/(\d{2})\/(\d{4})$/))) [y, m, d] = [+hit[3], +hit[2], +hit[1]];
+  else return null;
+
+  const date = new Date(y, m - 1, d);
+  // reject roll-overs like 2025-02-31
+  if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+  return toYMD(date);
+}
+
+function addDays(ymd, n) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  return toYMD(new Date(y, m - 1, d + n));
+}
+
+// inclusive list of days from..to
+function dateRange(from, to) {
+  if (to < from) throw new Error(`Date range ends before it starts: ${from}..${to}`);
+  const out = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) {
+    out.push(d);
+    if (out.length > MAX_RANGE_DAYS) throw new Error(`Date range longer than ${MAX_RANGE_DAYS} days: ${from}..${to}`);
+  }
+  return out;
+}
+
+// '2025-09-19' → '19-september-2025' (the day segment in Betfair racecard URLs)
+function betfairDaySlug(ymd) {
+  const [y, m, d] = ymd.split('-');
+  return `${d}-${MONTHS[+m - 1]}-${y}`;
+}
+
+// race.time ('13:28', local Europe/Dublin) on the racing day → Date
+function offTime(date, time) {
+  const [y, m, d] = date.split('-').map(Number);
+  const [hh, mm] = String(time || '').split(':').map(Number);
+  if (!Number.isFinite(hh) || !Number.isFinite(mm)) return null;
+  return new Date(y, m - 1, d, hh, mm);
+}
+
+function requireDate(val, flag) {
+  const parsed = parseDateFlexible(val);
+  if (!parsed) throw new Error(`Invalid ${flag} value: "${val}". Use YYYY-MM-DD or DD/MM/YYYY.`);
+  return parsed;
+}
+
+/**
+ * Racing days requested on the command line, in order.
+ *   --today | --yesterday | --tomorrow
+ *   --date YYYY-MM-DD  (or DD/MM/YYYY, or FROM..TO for a range)
+ *   --from YYYY-MM-DD [--to YYYY-MM-DD]   (--to defaults to --from)
+ * With no flag, returns [today + defaultOffset].
+ */
+function getTargetDatesFromArgs(args = process.argv.slice(2), { defaultOffset = 0 } = {}) {
+  const today = todayISO();
+  if (args.includes('--today')) return [today];
+  if (args.includes('--yesterday')) return [addDays(today, -1)];
+  if (args.includes('--tomorrow')) return [addDays(today, 1)];
+
+  const dateArg = argValue('date', args);
+  if (dateArg) {
+    const [a, b] = dateArg.split('..');
+    if (b !== undefined) return dateRange(requireDate(a, '--date'), requireDate(b, '--date'));
+    return [requireDate(dateArg, '--date')];
+  }
+  if (args.includes('--date')) throw new Error('--date needs a value. Use YYYY-MM-DD or DD/MM/YYYY.');
+
+  const fromArg = argValue('from', args);
+  if (fromArg) {
+    const from = requireDate(fromArg, '--from');
+    const toArg = argValue('to', args);
+    return dateRange(from, toArg ? requireDate(toArg, '--to') : from);
+  }
+
+  return [addDays(today, defaultOffset)];
+}
+
+// Single-day variant for tools that work on one day at a time.
+function getTargetDateFromArgs(args = process.argv.slice(2), opts) {
+  const dates = getTargetDatesFromArgs(args, opts);
+  if (dates.length !== 1) throw new Error(`Expected a single date, got a range of ${dates.length} days.`);
+  return dates[0];
+}
+
+module.exports = {
+  pad, toYMD, todayISO, parseDateFlexible, addDays, dateRange, betfairDaySlug, offTime,
+  getTargetDatesFromArgs, getTargetDateFromArgs
+};
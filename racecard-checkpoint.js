@@ -0,0 +1,78 @@
+// racecard-checkpoint.js
+// Per-race checkpoint for the racecard scraper, so a crashed or partial run
+// can be resumed without re-fetching races we already have.
+//
+// File: betfair-racecards-YYYY-MM-DD.checkpoint.json
+//   { date, updated_at, races: { "<race url>": <race as written to the racecards file> } }
+//
+// A rerun is seeded from the checkpoint if there is one, otherwise from an
+// existing betfair-racecards-YYYY-MM-DD.json. Races that came back with
+// runners, or that had already finished, are reused; everything else
+// (timeouts, errors, empty cards) is fetched again.
+
+'use strict';
+
+const fs = require('fs/promises');
+
+const checkpointPathFor = date => `betfair-racecards-${date}.checkpoint.json`;
+
+const isComplete = race =>
+  !!race && ((Array.isArray(race.runners) && race.runners.length > 0) || race._note === 'skipped_finished');
+
+async function readJSON(file) {
+  try { return JSON.parse(await fs.readFile(file, 'utf8')); }
+  catch { return null; }
+}
+
+async function openCheckpoint(date, { seedFile, fresh = false } = {}) {
+  const file = checkpointPathFor(date);
+  const races = {};
+  let source = null;
+
+  if (!fresh) {
+    const saved = await readJSON(file);
+    if (saved && saved.date === date && saved.races) {
+      Object.assign(races, saved.races);
+      source = file;
+    } else if (seedFile) {
+      const previous = await readJSON(seedFile);
+      if (previous && previous.date === date) {
+        for (const r of previous.races || []) if (r.url) races[r.url] = r;
+        source = seedFile;
+      }
+    }
+  }
+
+  const reusable = Object.values(races).filter(isComplete).length;
+  if (source) console.log(`[${date}] Resuming from ${source} (${reusable} races reusable).`);
+
+  // writes are chained so concurrent workers never interleave on the file
+  let pending = Promise.resolve();
+  const persist = () => {
+    pending = pending.catch(() => {}).then(async () => {
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ date, updated_at: new Date().toISOString(), races }, null, 2), 'utf8');
+      await fs.rename(tmp, file);
+    });
+    return pending;
+  };
+
+  return {
+    file,
+    // completed race from an earlier run, or null if it needs fetching
+    get(url) {
+      return isComplete(races[url]) ? races[url] : null;
+    },
+    async record(race) {
+      races[race.url] = race;
+      await persist();
+    },
+    // the day was written out in full; the racecards file is the record now
+    async clear() {
+      await pending;
+      await fs.rm(file, { force: true });
+    }
+  };
+}
+
+module.exports = { openCheckpoint, checkpointPathFor, isComplete };
@@ -0,0 +1,62 @@
+// racecard-live.js
+// Browser helpers for the scripts that re-read racecards during the day
+// (track-odds.js, reconcile-nonrunners.js).
+
+'use strict';
+
+const { chromium, devices } = require('playwright');
+const { extractRunners, runInPage } = require('./racecard-parser');
+
+async function openBrowser() {
+  const browser = await chromium.launch({ headless: true });
+  const context = await browser.newContext({
+    ...devices['Desktop Chrome'],
+    locale: 'en-GB',
+    timezoneId: 'Europe/Dublin',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36',
+  });
+  return { browser, context };
+}
+
+// Current runners on a race's card, or null if it's off / failed to load.
+async function readRunners(context, race) {
+  const page = await context.newPage();
+  await page.route('**/*', route => {
+    const t = route.request().resourceType();
+    if (t === 'image' || t === 'font' || t === 'media') return route.abort();
+    return route.continue();
+  });
+  try {
+    await page.goto(race.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    if (page.url().includes('/results/')) return null; // off already
+    try { const btn = await page.$('button:has-text("Accept")'); if (btn) await btn.click({ timeout: 1000 }); } catch {}
+    await page.waitForSelector('.featured_runner', { timeout: 15000 });
+    return await runInPage(page, extractRunners);
+  } catch (e) {
+    console.error(`Racecard read failed [${race.course} ${race.time}]: ${e.message}`);
+    return null;
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+// tiny promise pool
+async function mapPool(items, limit, fn) {
+  const out = new Array(items.length);
+  let i = 0, running = 0;
+  return await new Promise((resolve, reject) => {
+    const launch = () => {
+      if (i >= items.length && running === 0) return resolve(out);
+      while (running < limit && i < items.length) {
+        const idx = i++; running++;
+        Promise.resolve(fn(items[idx], idx))
+          .then(v => out[idx] = v)
+          .catch(reject)
+          .finally(() => { running--; launch(); });
+      }
+    };
+    launch();
+  });
+}
+
+module.exports = { openBrowser, readRunners, mapPool };
@@ -0,0 +1,145 @@
+// racecard-parser.js
+// DOM extractors for Betfair racecard pages.
+//
+// The same functions run in two places:
+//   - live: inside Playwright, via runInPage(page, extractor)
+//   - replay/tests: in Node against a saved HTML snapshot, via parseHtml()
+//
+// Extractors are serialised with Function#toString when run in the browser,
+// so they must be self-contained: no references to anything outside their body.
+//
+// RACECARD SHAPE (betfair-racecards-YYYY-MM-DD.json). Only what the runner
+// cards show is read: the race header (title, distance, going, class, prize,
+// handicap, each-way terms) and runner stats such as draw, weight or rating
+// aren't, so no code should expect them.
+//
+// {
+//   date: 'YYYY-MM-DD',
+//   scraped_at: ISO timestamp,
+//   races: [{
+//     course, time, url,
+//     declared_runners: 9,
+//     runners: [{
+//       name, jockey, trainer,
+//       form:            '3-1P24',      (parsed by form.js)
+//       odds: { sbk: '9/4', exchange: '3.3' },
+//       non_runner:      false,          (the card shows NR by the name or in place of a price)
+//       withdrawn_at?:   ISO             (set when it came out after the scrape, see nonrunners.js)
+//       odds_history?, market_move?     (added by track-odds.js, see odds-movement.js)
+//     }],
+//     _note?: 'skipped_finished', _error?: '…'
+//   }]
+// }
+
+'use strict';
+
+// Index page → [{ course, time, url }]
+function extractRaceLinks(doc, pageUrl) {
+  const clean = s => (s || '').replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+  const toAbs = href => new URL(href, pageUrl).href;
+  const out = [];
+
+  for (const h2 of doc.querySelectorAll('h2.typography-h280')) {
+    const course = clean(h2.textContent);
+    // pick the UL immediately following or the next UL with race_navigation
+    let ul = h2.nextElementSibling;
+    while (ul && !(ul.tagName === 'UL' && ul.classList.contains('race_navigation'))) {
+      ul = ul.nextElementSibling;
+    }
+    if (!ul) continue;
+    for (const a of ul.querySelectorAll('li.race_navigation__item a')) {
+      const time = clean(a.textContent);
+      const href = a.getAttribute('href') || '';
+      if (href) out.push({ course, time, url: toAbs(href) });
+    }
+  }
+
+  // dedupe
+  const seen = new Set();
+  return out.filter(r => {
+    const key = `${r.course}|${r.time}|${r.url}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Racecard page → race-level fields (see RACECARD SHAPE above): the number of
+// runner cards. Header fields need a page captured with --save-snapshots that
+// shows where Betfair prints them, and a test against it, before they're added.
+function extractRaceInfo(doc) {
+  return {
+    declared_runners: doc.querySelectorAll('.featured_runner').length || null
+  };
+}
+
+// Racecard page → runners (see RACECARD SHAPE above). Jockey, trainer and form
+// are the labelled items of the card's ul.team ("<abbr title="Jocky">J:</abbr> Name").
+// A withdrawn runner keeps its card, marked NR / Non-Runner beside the name or
+// where the prices were.
+function extractRunners(doc) {
+  const clean = s => (s || '').replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+
+  return Array.from(doc.querySelectorAll('.featured_runner')).map(card => {
+    const getText = sel => clean(card.querySelector(sel)?.textContent);
+
+    // "<li><abbr title="Trainer">T:</abbr> Name</li>" → { trainer: 'Name' }
+    const labelled = {};
+    for (const li of card.querySelectorAll('ul.team li')) {
+      const ab = li.querySelector('abbr[title]');
+      if (!ab) continue;
+      const label = (ab.getAttribute('title') || '').toLowerCase();
+      const copy = li.cloneNode(true);
+      copy.querySelector('abbr')?.remove();
+      labelled[label] = clean(copy.textContent);
+    }
+    const field = re => {
+      const key = Object.keys(labelled).find(k => re.test(k));
+      return key == null ? null : labelled[key];
+    };
+
+    // withdrawn: "NR" / "Non-Runner" beside the name or instead of the prices
+    const NR = /\bNR\b|\b[Nn]on[- ]?[Rr]unner\b/;
+    const nonRunner = NR.test(getText('h4.name')) || NR.test(getText('.market_odds'))
+      || card.classList.contains('featured_runner--nr');
+
+    const name = getText('h4.name a, h4.name').replace(/\s*(\bNR\b|\b[Nn]on[- ]?[Rr]unner\b)$/, '');
+    // labels first (Betfair spells it "Jocky"), positional fallback for older markup
+    const jockey = field(/jock/) ?? getText('ul.team li:nth-child(1)').replace(/^J:\s*/, '');
+    const trainer = field(/trainer/) ?? getText('ul.team li:nth-child(2)').replace(/^T:\s*/, '');
+    const form = field(/form/) ?? getText('ul.team li:nth-child(3)').replace(/^F:\s*/, '');
+
+    // odds
+    const sbkEl = card.querySelector('.market_odds__sbk .price_button');
+    const excEl = card.querySelector('.market_odds__exc .price_button--exc');
+    const sbk = sbkEl ? clean(sbkEl.textContent.replace(/SBK/i, '')) : '';
+    const exc = excEl ? clean(excEl.textContent.replace(/EXC/i, '')) : '';
+
+    return {
+      name,
+      jockey: jockey.trim(),
+      trainer: trainer.trim(),
+      form: form.trim(),
+      odds: { sbk, exchange: exc },
+      non_runner: nonRunner
+    };
+  }).filter(r => r.name);
+}
+
+// Run a self-contained extractor against a live Playwright page.
+function runInPage(page, extractor) {
+  return page.evaluate(`(${extractor.toString()})(document, location.href)`);
+}
+
+// Run a self-contained extractor against saved HTML (replay mode and tests).
+function parseHtml(html, url, extractor) {
+  const { JSDOM } = require('jsdom'); // only needed offline
+  const dom = new JSDOM(html, { url });
+  try {
+    return extractor(dom.window.document, url);
+  } finally {
+    dom.window.close();
+  }
+}
+
+module.exports = { extractRaceLinks, extractRaceInfo, extractRunners, runInPage, parseHtml };
@@ -0,0 +1,73 @@
+// racecard-report.js
+// Machine-readable summary of a racecard scrape, written next to the day's file:
+//   betfair-racecards-YYYY-MM-DD.report.json
+//
+// {
+//   date, generated_at,
+//   races_found, with_runners, skipped_finished, timeouts, empty_cards, errors,
+//   reused, fetched,             (checkpoint reuse vs. fetched this run)
+//   coverage,                    with_runners / races still to run (0..1)
+//   status: 'complete' | 'partial' | 'failed',
+//   ok_to_analyse,               coverage >= MIN_COVERAGE
+//   failures: [{ course, time, url, reason: 'timeout' | 'empty' | 'error', error? }]
+// }
+//
+// The picks workflow reads ok_to_analyse to decide whether to run the analyser.
+
+'use strict';
+
+const MIN_COVERAGE = 0.8;
+
+// betfair-racecards-2025-10-18.json → betfair-racecards-2025-10-18.report.json
+const reportPathFor = outFile => outFile.replace(/\.json$/i, '') + '.report.json';
+
+function classifyRace(race) {
+  if (Array.isArray(race.runners) && race.runners.length) return 'ok';
+  if (race._note === 'skipped_finished') return 'finished';
+  if (race._error) return /timeout/i.test(race._error) ? 'timeout' : 'error';
+  return 'empty';
+}
+
+function buildScrapeReport(payload, { reused = 0, fetched = 0 } = {}) {
+  const races = payload.races || [];
+  const counts = { ok: 0, finished: 0, timeout: 0, error: 0, empty: 0 };
+  const failures = [];
+
+  for (const race of races) {
+    const kind = classifyRace(race);
+    counts[kind]++;
+    if (kind === 'timeout' || kind === 'error' || kind === 'empty') {
+      failures.push({
+        course: race.course,
+        time: race.time,
+        url: race.url,
+        reason: kind,
+        ...(race._error ? { error: race._error } : {})
+      });
+    }
+  }
+
+  // finished races can't be scraped any more, so they don't count against us
+  const expected = races.length - counts.finished;
+  const coverage = expected > 0 ? +(counts.ok / expected).toFixed(3) : 0;
+  const status = !counts.ok ? 'failed' : failures.length ? 'partial' : 'complete';
+
+  return {
+    date: payload.date,
+    generated_at: new Date().toISOString(),
+    races_found: races.length,
+    with_runners: counts.ok,
+    skipped_finished: counts.finished,
+    timeouts: counts.timeout,
+    empty_cards: counts.empty,
+    errors: counts.error,
+    reused,
+    fetched,
+    coverage,
+    status,
+    ok_to_analyse: counts.ok > 0 && coverage >= MIN_COVERAGE,
+    failures
+  };
+}
+
+module.exports = { buildScrapeReport, classifyRace, reportPathFor, MIN_COVERAGE };
@@ -0,0 +1,85 @@
+// racecard-snapshots.js
+// Save racecard pages as HTML snapshots during a live scrape, and replay a
+// snapshot directory offline (no browser, no network).
+//
+// Layout of a snapshot directory:
+//   manifest.json   { date, created_at, pages: { "<requested url>": { url, file } } }
+//   index.html      the racecards index page (manifest key "index")
+//   <slug>.html     one file per racecard, slug derived from the race URL
+//
+// `url` in the manifest is where the browser actually landed, so a race that
+// redirected to /results/ replays as skipped_finished just like a live run.
+
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const { extractRaceLinks, extractRaceInfo, extractRunners, parseHtml } = require('./racecard-parser');
+
+const clean = s => (s || '').replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+
+function slugFor(key) {
+  if (key === 'index') return 'index';
+  try {
+    // /horse-racing/racecards/19-september-2025/ayr/2/1/ → 19-september-2025_ayr_2_1
+    return new URL(key).pathname.split('/').filter(Boolean).slice(2).join('_') || 'page';
+  } catch {
+    return String(key).replace(/[^a-z0-9-]+/gi, '_');
+  }
+}
+
+function createSnapshotStore(dir, date) {
+  const manifest = { date, created_at: new Date().toISOString(), pages: {} };
+
+  return {
+    dir,
+    // key is 'index' or the requested race URL
+    async save(key, page) {
+      const file = `${slugFor(key)}.html`;
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, file), await page.content(), 'utf8');
+      manifest.pages[key] = { url: page.url(), file };
+    },
+    // written once at the end: concurrent workers would race on a shared file
+    async flush() {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf8');
+    }
+  };
+}
+
+async function readPage(dir, entry) {
+  return await fs.readFile(path.join(dir, entry.file), 'utf8');
+}
+
+// Parse a snapshot directory into the same { date, races } payload a live scrape writes.
+async function replaySnapshots(dir) {
+  const manifest = JSON.parse(await fs.readFile(path.join(dir, 'manifest.json'), 'utf8'));
+  const pages = manifest.pages || {};
+  if (!pages.index) throw new Error(`No index page in snapshot manifest: ${dir}`);
+
+  const links = parseHtml(await readPage(dir, pages.index), pages.index.url, extractRaceLinks)
+    .map(r => ({ course: clean(r.course), time: clean(r.time), url: r.url }));
+
+  const races = [];
+  for (const race of links) {
+    const entry = pages[race.url];
+    if (!entry) {
+      races.push({ ...race, runners: [], _error: 'no snapshot for race' });
+      continue;
+    }
+    if (entry.url.includes('/results/')) {
+      races.push({ ...race, runners: [], _note: 'skipped_finished' });
+      continue;
+    }
+    const html = await readPage(dir, entry);
+    const info = parseHtml(html, entry.url, extractRaceInfo);
+    const runners = parseHtml(html, entry.url, extractRunners);
+    if (!runners.length) console.warn(`No runners parsed from snapshot: ${race.course} ${race.time} (${entry.file})`);
+    races.push({ ...race, ...info, runners });
+  }
+
+  return { date: manifest.date, races };
+}
+
+module.exports = { createSnapshotStore, replaySnapshots, slugFor };
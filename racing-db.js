@@ -0,0 +1,391 @@
+// racing-db.js
+// A local SQLite copy of the JSON archive (better-sqlite3), for questions
+// that span days. ingest-db.js loads it and query-db.js asks it things.
+//
+// Sources, each ingested per file:
+//
+//   racecard    betfair-racecards-DATE.json (repo root)    races, runners
+//   shortlist   betfair-racecards-picks-DATE.json (root)   picks, source 'shortlist'
+//   published   docs/picks/YYYY/MM/DATE.json               picks, source 'published'
+//   strategy    docs/strategies/<name>/YYYY/MM/DATE.json   picks, source <name>
+//   results     docs/results/YYYY/MM/DATE.json             results
+//
+// SCHEMA
+//   meetings  (date, course)            one per course per day
+//   races     (meeting_id, time)        card details; settled = 1 when the
+//                                       result names a winner and isn't low
+//                                       confidence (results-parser.js)
+//   runners   (race_id, horse_key)      from the racecard
+//   picks     (race_id, source, horse_key)
+//   results   (race_id, horse_key)      status 'finished', 'non_runner' or
+//                                       the non-finish code ('PU', 'F', …)
+//   runs      view: every horse known to have run in a settled race, from
+//             any source, with its trainer and jockey and won = 1 or 0;
+//             carded = 1 when the race has racecard runners
+//   ingested_files (path)               content hash of each file loaded
+//
+// Names are matched on identity.js keys (horse_key, jockey_key, trainer_key),
+// courses on course_key. Re-ingesting a file replaces that file's rows race
+// by race; a file whose hash hasn't changed is skipped.
+//
+// COVERAGE: results don't name trainers or jockeys, so in a race without a
+// racecard the only runs with one are the picks, and a trainer's "strike
+// rate" there would be the strike rate of the horses we backed. Trainer and
+// jockey figures (strikeRate, courseLeaders) therefore count carded races
+// only, where every declared runner is in; the runs left out are reported.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { key, courseKey } = require('./identity');
+const { toDec } = require('./odds');
+const { advisedPrice, archivedDays } = require('./settlement');
+const { confidenceLabel } = require('./calibration');
+
+const DEFAULT_DB = 'racing.db';
+const SCHEMA_VERSION = 2;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meetings (
+  id          INTEGER PRIMARY KEY,
+  date        TEXT NOT NULL,
+  course      TEXT NOT NULL,
+  course_key  TEXT NOT NULL,
+  UNIQUE (date, course_key)
+);
+CREATE TABLE IF NOT EXISTS races (
+  id                INTEGER PRIMARY KEY,
+  meeting_id        INTEGER NOT NULL REFERENCES meetings(id),
+  time              TEXT NOT NULL,
+  url               TEXT,
+  title             TEXT,
+  distance          TEXT,
+  distance_f        REAL,
+  going             TEXT,
+  race_class        TEXT,
+  race_type         TEXT,
+  prize_value       REAL,
+  declared_runners  INTEGER,
+  handicap          INTEGER,
+  settled           INTEGER NOT NULL DEFAULT 0,
+  result_confidence TEXT,
+  UNIQUE (meeting_id, time)
+);
+CREATE TABLE IF NOT EXISTS runners (
+  id               INTEGER PRIMARY KEY,
+  race_id          INTEGER NOT NULL REFERENCES races(id),
+  name             TEXT NOT NULL,
+  horse_key        TEXT NOT NULL,
+  jockey           TEXT,
+  jockey_key       TEXT,
+  trainer          TEXT,
+  trainer_key      TEXT,
+  form             TEXT,
+  cloth            INTEGER,
+  draw             INTEGER,
+  age              INTEGER,
+  weight_lbs       INTEGER,
+  official_rating  INTEGER,
+  non_runner       INTEGER NOT NULL DEFAULT 0,
+  odds_sbk         TEXT,
+  odds_exchange    REAL,
+  UNIQUE (race_id, horse_key)
+);
+CREATE TABLE IF NOT EXISTS picks (
+  id              INTEGER PRIMARY KEY,
+  race_id         INTEGER NOT NULL REFERENCES races(id),
+  source          TEXT NOT NULL,
+  name            TEXT NOT NULL,
+  horse_key       TEXT NOT NULL,
+  jockey          TEXT,
+  jockey_key      TEXT,
+  trainer         TEXT,
+  trainer_key     TEXT,
+  confidence      TEXT,
+  odds            TEXT,
+  odds_dec        REAL,
+  probability     REAL,
+  expected_value  REAL,
+  bet_type        TEXT,
+  stake           REAL,
+  rationale       TEXT,
+  UNIQUE (race_id, source, horse_key)
+);
+CREATE TABLE IF NOT EXISTS results (
+  id           INTEGER PRIMARY KEY,
+  race_id      INTEGER NOT NULL REFERENCES races(id),
+  name         TEXT NOT NULL,
+  horse_key    TEXT NOT NULL,
+  status       TEXT NOT NULL,
+  position     INTEGER,
+  dead_heat    INTEGER NOT NULL DEFAULT 0,
+  sp           TEXT,
+  sp_dec       REAL,
+  favourite    INTEGER NOT NULL DEFAULT 0,
+  distance     TEXT,
+  jockey       TEXT,
+  jockey_key   TEXT,
+  trainer      TEXT,
+  trainer_key  TEXT,
+  UNIQUE (race_id, horse_key)
+);
+CREATE TABLE IF NOT EXISTS ingested_files (
+  path         TEXT PRIMARY KEY,
+  kind         TEXT NOT NULL,
+  date         TEXT,
+  hash         TEXT NOT NULL,
+  ingested_at  TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS races_meeting ON races (meeting_id);
+CREATE INDEX IF NOT EXISTS runners_trainer ON runners (trainer_key);
+CREATE INDEX IF NOT EXISTS runners_jockey ON runners (jockey_key);
+CREATE INDEX IF NOT EXISTS picks_race ON picks (race_id, source);
+CREATE INDEX IF NOT EXISTS results_race ON results (race_id, position);
+
+CREATE VIEW IF NOT EXISTS runs AS
+WITH seen AS (
+  SELECT race_id, horse_key, name, jockey, jockey_key, trainer, trainer_key, 1 AS pri FROM results WHERE status <> 'non_runner'
+  UNION ALL SELECT race_id, horse_key, name, jockey, jockey_key, trainer, trainer_key, 2 FROM runners WHERE non_runner = 0
+  UNION ALL SELECT race_id, horse_key, name, jockey, jockey_key, trainer, trainer_key, 3 FROM picks
+),
+ranked AS (
+  SELECT race_id, horse_key, name,
+    FIRST_VALUE(jockey) OVER (PARTITION BY race_id, horse_key ORDER BY jockey_key IS NULL, pri) AS jockey,
+    FIRST_VALUE(jockey_key) OVER (PARTITION BY race_id, horse_key ORDER BY jockey_key IS NULL, pri) AS jockey_key,
+    FIRST_VALUE(trainer) OVER (PARTITION BY race_id, horse_key ORDER BY trainer_key IS NULL, pri) AS trainer,
+    FIRST_VALUE(trainer_key) OVER (PARTITION BY race_id, horse_key ORDER BY trainer_key IS NULL, pri) AS trainer_key,
+    ROW_NUMBER() OVER (PARTITION BY race_id, horse_key ORDER BY pri) AS n
+  FROM seen
+),
+placings AS (
+  SELECT race_id, horse_key, MIN(position) AS position, MAX(status = 'non_runner') AS non_runner FROM results GROUP BY race_id, horse_key
+)
+SELECT m.date, m.course, m.course_key, r.time, r.race_type, k.race_id, k.horse_key, k.name,
+       k.jockey, k.jockey_key, k.trainer, k.trainer_key, p.position, COALESCE(p.position = 1, 0) AS won,
+       EXISTS (SELECT 1 FROM runners c WHERE c.race_id = k.race_id) AS carded
+FROM ranked k
+JOIN races r ON r.id = k.race_id AND r.settled = 1
+JOIN meetings m ON m.id = r.meeting_id
+LEFT JOIN placings p ON p.race_id = k.race_id AND p.horse_key = k.horse_key
+WHERE k.n = 1 AND COALESCE(p.non_runner, 0) = 0;
+`;
+
+const num = v => (v == null || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+const flag = v => (v == null ? null : v ? 1 : 0);
+const people = p => ({
+  jockey: p.jockey || null, jockey_key: p.jockey ? key('jockey', p.jockey) : null,
+  trainer: p.trainer || null, trainer_key: p.trainer ? key('trainer', p.trainer) : null
+});
+
+function openDb(file = DEFAULT_DB) {
+  const db = new Database(file);
+  db.pragma('foreign_keys = ON');
+  const version = db.pragma('user_version', { simple: true });
+  if (version && version !== SCHEMA_VERSION) {
+    throw new Error(`${file} has schema version ${version}, this code expects ${SCHEMA_VERSION}; delete it and ingest again.`);
+  }
+  db.exec(SCHEMA);
+  db.pragma(`user_version = ${SCHEMA_VERSION}`);
+  return db;
+}
+
+// the race's id, creating its meeting and race row when new
+function ensureRace(db, date, course, time, url = null) {
+  const courseName = (course || '').trim();
+  db.prepare('INSERT INTO meetings (date, course, course_key) VALUES (?, ?, ?) ON CONFLICT (date, course_key) DO NOTHING')
+    .run(date, courseName, courseKey(courseName));
+  const meeting = db.prepare('SELECT id FROM meetings WHERE date = ? AND course_key = ?').get(date, courseKey(courseName)).id;
+  db.prepare('INSERT INTO races (meeting_id, time, url) VALUES (?, ?, ?) ON CONFLICT (meeting_id, time) DO UPDATE SET url = COALESCE(races.url, excluded.url)')
+    .run(meeting, (time || '').trim(), url);
+  return db.prepare('SELECT id FROM races WHERE meeting_id = ? AND time = ?').get(meeting, (time || '').trim()).id;
+}
+
+function ingestRacecards(db, date, data) {
+  const update = db.prepare(`UPDATE races SET title = ?, distance = ?, distance_f = ?, going = ?, race_class = ?, race_type = ?,
+    prize_value = ?, declared_runners = ?, handicap = ? WHERE id = ?`);
+  const insert = db.prepare(`INSERT OR REPLACE INTO runners (race_id, name, horse_key, jockey, jockey_key, trainer, trainer_key, form,
+    cloth, draw, age, weight_lbs, official_rating, non_runner, odds_sbk, odds_exchange)
+    VALUES (@race_id, @name, @horse_key, @jockey, @jockey_key, @trainer, @trainer_key, @form,
+    @cloth, @draw, @age, @weight_lbs, @official_rating, @non_runner, @odds_sbk, @odds_exchange)`);
+  for (const race of data.races || []) {
+    if (!race.course || !race.time) continue;
+    const id = ensureRace(db, date, race.course, race.time, race.url);
+    update.run(race.title ?? null, race.distance ?? null, num(race.distance_f), race.going ?? null, race.race_class ?? null,
+      race.race_type ?? null, num(race.prize_value), num(race.declared_runners), flag(race.handicap), id);
+    db.prepare('DELETE FROM runners WHERE race_id = ?').run(id);
+    for (const r of race.runners || []) {
+      if (!r.name) continue;
+      insert.run({
+        race_id: id, name: r.name, horse_key: key('horse', r.name), ...people(r), form: r.form ?? null,
+        cloth: num(r.cloth), draw: num(r.draw), age: num(r.age), weight_lbs: num(r.weight_lbs), official_rating: num(r.official_rating),
+        non_runner: r.non_runner ? 1 : 0, odds_sbk: r.odds?.sbk ?? null, odds_exchange: toDec(r.odds?.exchange ?? r.odds?.exc)
+      });
+    }
+  }
+}
+
+function ingestPicks(db, date, data, source) {
+  const insert = db.prepare(`INSERT OR REPLACE INTO picks (race_id, source, name, horse_key, jockey, jockey_key, trainer, trainer_key,
+    confidence, odds, odds_dec, probability, expected_value, bet_type, stake, rationale)
+    VALUES (@race_id, @source, @name, @horse_key, @jockey, @jockey_key, @trainer, @trainer_key,
+    @confidence, @odds, @odds_dec, @probability, @expected_value, @bet_type, @stake, @rationale)`);
+  for (const race of data.races || []) {
+    if (!race.course || !race.time) continue;
+    const id = ensureRace(db, date, race.course, race.time, race.url);
+    db.prepare('DELETE FROM picks WHERE race_id = ? AND source = ?').run(id, source);
+    for (const p of race.shortlist || []) {
+      if (!p.name) continue;
+      insert.run({
+        race_id: id, source, name: p.name, horse_key: key('horse', p.name), ...people(p),
+        confidence: p.confidence ?? null, odds: p.odds ?? p.odds_note ?? null, odds_dec: advisedPrice(p),
+        probability: num(p.probability), expected_value: num(p.expected_value), bet_type: p.bet_type ?? null,
+        stake: num(p.stake), rationale: p.rationale ?? null
+      });
+    }
+  }
+}
+
+// finishing order, non-finishers and non-runners; older results only name the winner and placed
+function resultRows(res) {
+  const rows = [];
+  const add = (r, status, position = null) => {
+    if (r?.name && !rows.some(x => x.horse_key === key('horse', r.name))) {
+      rows.push({ name: r.name, horse_key: key('horse', r.name), status, position, dead_heat: r.dead_heat ? 1 : 0, sp: r.sp ?? null,
+        favourite: r.favourite ? 1 : 0, distance: r.distance ?? null, ...people(r) });
+    }
+  };
+  if (Array.isArray(res.finishing_order)) {
+    for (const r of res.finishing_order) add(r, 'finished', num(r.pos));
+    for (const r of res.non_finishers || []) add(r, r.status || 'non_finisher');
+  } else {
+    add(res.winner, 'finished', 1);
+    for (const r of res.placed || []) add(r, 'finished', num(r.pos));
+  }
+  for (const name of res.non_runners || []) add({ name }, 'non_runner');
+  return rows;
+}
+
+function ingestResults(db, date, data) {
+  const insert = db.prepare(`INSERT OR REPLACE INTO results (race_id, name, horse_key, status, position, dead_heat, sp, sp_dec,
+    favourite, distance, jockey, jockey_key, trainer, trainer_key)
+    VALUES (@race_id, @name, @horse_key, @status, @position, @dead_heat, @sp, @sp_dec,
+    @favourite, @distance, @jockey, @jockey_key, @trainer, @trainer_key)`);
+  for (const res of data.results || []) {
+    if (!res.course || !res.time) continue;
+    const id = ensureRace(db, date, res.course, res.time);
+    const settled = !!res.winner?.name && res.confidence !== 'low';
+    db.prepare('UPDATE races SET settled = ?, result_confidence = ? WHERE id = ?').run(settled ? 1 : 0, res.winner?.name ? res.confidence || null : null, id);
+    db.prepare('DELETE FROM results WHERE race_id = ?').run(id);
+    for (const row of resultRows(res)) insert.run({ race_id: id, ...row, sp_dec: toDec(row.sp) });
+  }
+}
+
+/**
+ * Every archive file the ingest knows about, oldest day first within a kind.
+ * → [{ kind, source?, date, file }]
+ */
+function archiveFiles(root = '.') {
+  const rootFiles = (re, kind, extra = {}) => fs.readdirSync(root)
+    .map(f => f.match(re)).filter(Boolean)
+    .map(m => ({ kind, ...extra, date: m[1], file: path.join(root, m[0]) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const under = (dir, kind, extra = {}) => archivedDays(path.join(root, dir)).map(d => ({ kind, ...extra, ...d }));
+  const strategiesDir = path.join(root, 'docs', 'strategies');
+  const strategies = fs.existsSync(strategiesDir) ? fs.readdirSync(strategiesDir).filter(n => fs.statSync(path.join(strategiesDir, n)).isDirectory()) : [];
+  return [
+    ...rootFiles(/^betfair-racecards-(\d{4}-\d{2}-\d{2})\.json$/, 'racecard'),
+    ...rootFiles(/^betfair-racecards-picks-(\d{4}-\d{2}-\d{2})\.json$/, 'shortlist', { source: 'shortlist' }),
+    ...under(path.join('docs', 'picks'), 'published', { source: 'published' }),
+    ...strategies.flatMap(name => under(path.join('docs', 'strategies', name), 'strategy', { source: name })),
+    ...under(path.join('docs', 'results'), 'results')
+  ];
+}
+
+/**
+ * Load one archive file (an archiveFiles entry) unless it's unchanged since
+ * the last ingest. → 'ingested' | 'unchanged' | 'skipped' (unreadable)
+ */
+function ingestFile(db, entry, { force = false } = {}) {
+  const text = fs.readFileSync(entry.file, 'utf8');
+  const hash = crypto.createHash('sha1').update(text).digest('hex');
+  const seen = db.prepare('SELECT hash FROM ingested_files WHERE path = ?').get(entry.file);
+  if (!force && seen?.hash === hash) return 'unchanged';
+  let data;
+  try { data = JSON.parse(text); }
+  catch { return 'skipped'; }
+  const date = data.date || entry.date;
+  db.transaction(() => {
+    if (entry.kind === 'racecard') ingestRacecards(db, date, data);
+    else if (entry.kind === 'results') ingestResults(db, date, data);
+    else ingestPicks(db, date, data, entry.source);
+    db.prepare('INSERT OR REPLACE INTO ingested_files (path, kind, date, hash, ingested_at) VALUES (?, ?, ?, ?, ?)')
+      .run(entry.file, entry.kind, date, hash, new Date().toISOString());
+  })();
+  return 'ingested';
+}
+
+/**
+ * Strike rate of a trainer or jockey over settled runs in carded races (see
+ * COVERAGE), optionally at one course and between two dates. `uncarded_runs`
+ * are the runs found only in races without a racecard, left out.
+ * → { runs, wins, strike_rate, uncarded_runs, by_course: [{ course, runs, wins, strike_rate }] }
+ */
+function strikeRate(db, kind, name, { course = null, from = null, to = null } = {}) {
+  if (!['trainer', 'jockey'].includes(kind)) throw new Error(`Strike rates are by trainer or jockey (got "${kind}").`);
+  const where = [`${kind}_key = @who`, 'date >= @from', 'date <= @to'];
+  if (course) where.push('course_key = @course');
+  const params = { who: key(kind, name), from: from || '0000-00-00', to: to || '9999-99-99', course: courseKey(course) };
+  const rows = db.prepare(`SELECT MIN(course) AS course, COUNT(*) AS runs, SUM(won) AS wins FROM runs
+    WHERE ${where.join(' AND ')} AND carded = 1 GROUP BY course_key ORDER BY runs DESC, course`).all(params);
+  const uncarded = db.prepare(`SELECT COUNT(*) AS n FROM runs WHERE ${where.join(' AND ')} AND carded = 0`).get(params).n;
+  const rate = (wins, runs) => (runs ? +(wins / runs).toFixed(4) : null);
+  const runs = rows.reduce((a, r) => a + r.runs, 0), wins = rows.reduce((a, r) => a + r.wins, 0);
+  return {
+    runs, wins, strike_rate: rate(wins, runs), uncarded_runs: uncarded,
+    by_course: rows.map(r => ({ ...r, strike_rate: rate(r.wins, r.runs) }))
+  };
+}
+
+// every settled run of one horse, newest first
+function horseRuns(db, name) {
+  return db.prepare(`SELECT date, course, time, race_type, position, won, jockey, trainer FROM runs
+    WHERE horse_key = ? ORDER BY date DESC, time DESC`).all(key('horse', name));
+}
+
+/**
+ * Trainers or jockeys at one course with at least `minRuns` settled runs in
+ * carded races (see COVERAGE), best strike rate first.
+ */
+function courseLeaders(db, course, { kind = 'trainer', minRuns = 5 } = {}) {
+  if (!['trainer', 'jockey'].includes(kind)) throw new Error(`Leaders are trainers or jockeys (got "${kind}").`);
+  return db.prepare(`SELECT MIN(${kind}) AS name, COUNT(*) AS runs, SUM(won) AS wins, ROUND(1.0 * SUM(won) / COUNT(*), 4) AS strike_rate
+    FROM runs WHERE course_key = ? AND carded = 1 AND ${kind}_key IS NOT NULL
+    GROUP BY ${kind}_key HAVING COUNT(*) >= ? ORDER BY strike_rate DESC, runs DESC`).all(courseKey(course), minRuns);
+}
+
+// picks that ran in settled races, by source and confidence label (calibration.js)
+function pickStrikeRates(db, { from = null, to = null } = {}) {
+  const rows = db.prepare(`SELECT p.source, p.confidence, x.won
+    FROM picks p
+    JOIN runs x ON x.race_id = p.race_id AND x.horse_key = p.horse_key
+    WHERE x.date BETWEEN ? AND ?`).all(from || '0000-00-00', to || '9999-99-99');
+  const groups = new Map();
+  for (const r of rows) {
+    const k = `${r.source}|${confidenceLabel(r.confidence)}`;
+    if (!groups.has(k)) groups.set(k, { source: r.source, confidence: confidenceLabel(r.confidence), picks: 0, wins: 0 });
+    const g = groups.get(k);
+    g.picks++;
+    g.wins += r.won;
+  }
+  return [...groups.values()].map(g => ({ ...g, strike_rate: +(g.wins / g.picks).toFixed(4) }))
+    .sort((a, b) => a.source.localeCompare(b.source) || b.picks - a.picks);
+}
+
+module.exports = {
+  openDb, ingestFile, archiveFiles, ingestRacecards, ingestPicks, ingestResults, resultRows,
+  strikeRate, horseRuns, courseLeaders, pickStrikeRates,
+  DEFAULT_DB, SCHEMA_VERSION
+};
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Non-runner reconciliation (Playwright)
+ *
+ * Re-reads the racecard for every race on the day's published picks that
+ * hasn't gone off, marks picks that have been withdrawn as void non-runners
+ * and records the Rule 4 deduction the other picks in the race will take
+ * (see nonrunners.js / rule4.js). Updates docs/picks/YYYY/MM/DATE.json,
+ * docs/latest.json (same day only) and betfair-racecards-DATE.json.
+ *
+ * Usage:
+ *   node reconcile-nonrunners.js                 every picked race still to run
+ *   node reconcile-nonrunners.js --before-off 30 only races off in the next 30 min
+ *   --date YYYY-MM-DD | --today | --yesterday    racing day (default: today)
+ */
+
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const { openBrowser, readRunners, mapPool } = require('./racecard-live');
+const { reconcileRace } = require('./nonrunners');
+const { horseKey, raceKey } = require('./identity');
+const { getTargetDateFromArgs, offTime } = require('./race-dates');
+const { argValue, readJSON, picksPathFor } = require('./cli');
+
+const CONCURRENCY = 2;
+
+(async function main() {
+  const date = getTargetDateFromArgs();
+  const beforeOff = argValue('before-off');
+
+  const picksFile = picksPathFor(date);
+  const picks = readJSON(picksFile);
+  if (!picks) {
+    console.error(`No archived picks for ${date}: ${picksFile}`);
+    process.exit(1);
+  }
+  const cardFile = `betfair-racecards-${date}.json`;
+  const cards = readJSON(cardFile) || { races: [] };
+
+  const now = new Date();
+  const windowEnd = beforeOff ? new Date(now.getTime() + Number(beforeOff) * 60000) : null;
+  const targets = (picks.races || []).filter(race => {
+    if (!race.url || !race.shortlist?.length) return false;
+    const off = offTime(date, race.time);
+    if (!off || off <= now) return false;
+    return !windowEnd || off <= windowEnd;
+  });
+
+  if (!targets.length) {
+    console.log(`No picked races to reconcile for ${date}.`);
+    return;
+  }
+  console.log(`Checking ${targets.length} picked races for non-runners…`);
+
+  const cardFor = race => (cards.races || []).find(c => c.url === race.url)
+    || (cards.races || []).find(c => raceKey(c) === raceKey(race));
+
+  const { browser, context } = await openBrowser();
+
+  const reconciled = new Map(); // picks race key → race, to copy onto latest.json
+  try {
+    await mapPool(targets, CONCURRENCY, async race => {
+      await new Promise(r => setTimeout(r, 300 + Math.floor(Math.random() * 300)));
+      const live = await readRunners(context, race);
+      if (!live) return;
+      const withdrawals = reconcileRace(race, cardFor(race), live);
+      reconciled.set(raceKey(race), race);
+      for (const w of withdrawals) {
+        console.log(`  NR ${race.course} ${race.time} ${w.name}${w.picked ? ' (picked — void)' : ''}: ${w.price || '?'} → R4 ${Math.round(w.deduction * 100)}p`);
+      }
+    });
+  } finally {
+    await browser.close();
+  }
+
+  await fs.writeFile(picksFile, JSON.stringify(picks, null, 2), 'utf8');
+  console.log(`Reconciled ${reconciled.size}/${targets.length} races → ${picksFile}`);
+
+  if (cards.races?.length) await fs.writeFile(cardFile, JSON.stringify(cards, null, 2), 'utf8');
+
+  const latestFile = path.join('docs', 'latest.json');
+  const latest = readJSON(latestFile);
+  if (latest?.date === date) {
+    for (const race of latest.races || []) {
+      const done = reconciled.get(raceKey(race));
+      if (!done) continue;
+      race.withdrawals = done.withdrawals;
+      race.rule4_deduction = done.rule4_deduction;
+      race.reconciled_at = done.reconciled_at;
+      const outNames = new Set((done.shortlist || []).filter(p => p.void).map(p => horseKey(p.name)));
+      for (const pick of race.shortlist || []) {
+        if (outNames.has(horseKey(pick.name))) { pick.non_runner = true; pick.void = true; }
+      }
+    }
+    await fs.writeFile(latestFile, JSON.stringify(latest, null, 2), 'utf8');
+    console.log(`Updated ${latestFile}`);
+  }
+})().catch(err => {
+  console.error('NON-RUNNER RECONCILIATION FAILED:', err?.message || err);
+  process.exit(1);
+});
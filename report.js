@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Historical performance report (see performance.js)
+ *
+ * Reads every settled day of the archive, from its ledger in docs/ledger
+ * (settle.js) or, where none was written yet, by settling docs/picks against
+ * docs/results, and reports strike rate, ROI, P/L, longest losing run and
+ * max drawdown overall and by course, race type, odds band, confidence,
+ * jockey, trainer, weekday and month.
+ *
+ * Usage:
+ *   node report.js                     → docs/performance.json and PERFORMANCE.md
+ *   --from YYYY-MM-DD --to YYYY-MM-DD  date range (default: the whole archive)
+ *   --basis advised|exchange|sp        price basis (default advised)
+ *   --strategy NAME                    a strategy's archive instead
+ *                                      (→ docs/strategies/NAME/performance.json)
+ *   --json FILE  --md FILE             other output files
+ *   --min-bets N                       smallest group shown in the Markdown (default 10)
+ *   --strategies FILE                  strategy config (default strategies.json)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadStrategies, stakingFor, DEFAULT_FILE } = require('./strategies');
+const { settleDay, ledgerPath, archivedDays, BASES } = require('./settlement');
+const { performanceReport, ledgerBets, toMarkdown } = require('./performance');
+const { argValue, readJSON, resultsFor } = require('./cli');
+
+(function main() {
+  const config = loadStrategies(argValue('strategies') || DEFAULT_FILE);
+  const strategy = argValue('strategy');
+  if (strategy && !config.strategies[strategy]) {
+    console.error(`Unknown strategy: ${strategy}. Defined: ${Object.keys(config.strategies).join(', ')}`);
+    process.exit(1);
+  }
+  const basis = argValue('basis') || 'advised';
+  if (!BASES.includes(basis)) {
+    console.error(`--basis must be one of ${BASES.join(', ')}`);
+    process.exit(1);
+  }
+  const from = argValue('from') || '0000-00-00';
+  const to = argValue('to') || '9999-99-99';
+  const plan = stakingFor(config, strategy || config.primary);
+  const root = strategy ? path.join('docs', 'strategies', strategy) : path.join('docs', 'picks');
+
+  const bets = [];
+  const dates = [];
+  for (const { date, file } of archivedDays(root)) {
+    if (date < from || date > to) continue;
+    const picks = readJSON(file);
+    if (!picks) continue;
+    let ledger = readJSON(ledgerPath(date, strategy));
+    if (!ledger) {
+      const results = resultsFor(date);
+      if (!results) continue;
+      ledger = settleDay({ ...picks, date }, results, plan);
+    }
+    const day = ledgerBets(ledger, picks, basis);
+    if (!day.length) continue;
+    bets.push(...day);
+    dates.push(date);
+  }
+
+  const report = {
+    meta: {
+      generated_at: new Date().toISOString(),
+      label: strategy || 'archive',
+      basis,
+      from: dates[0] || null,
+      to: dates[dates.length - 1] || null,
+      days: dates.length
+    },
+    ...performanceReport(bets)
+  };
+
+  const jsonFile = argValue('json') || (strategy ? path.join('docs', 'strategies', strategy, 'performance.json') : path.join('docs', 'performance.json'));
+  const mdFile = argValue('md') || (strategy ? null : 'PERFORMANCE.md');
+  fs.mkdirSync(path.dirname(jsonFile), { recursive: true });
+  fs.writeFileSync(jsonFile, JSON.stringify(report, null, 2));
+  if (mdFile) {
+    const minBets = Number(argValue('min-bets') ?? 10);
+    fs.writeFileSync(mdFile, toMarkdown(report, { title: `Performance: ${report.meta.label}`, minBets }));
+  }
+
+  const o = report.overall;
+  console.log(`${report.meta.label}: ${o.bets} bets over ${dates.length} days, strike rate ${(o.strike_rate * 100).toFixed(1)}%, P/L ${o.pnl >= 0 ? '+' : ''}${o.pnl} (ROI ${(o.roi * 100).toFixed(1)}%) → ${jsonFile}${mdFile ? `, ${mdFile}` : ''}`);
+})();
@@ -0,0 +1,30 @@
+// results-parser.js
+// DOM extractor for Betfair race result pages. Like racecard-parser.js it is
+// self-contained, so it runs inside Playwright (runInPage) and against saved
+// HTML in tests (parseHtml).
+//
+// RESULT SHAPE:
+// {
+//   winner:     { name } | null,
+//   confidence: 'high' | 'low',
+//   issues:     ['no winner found', …]
+// }
+//
+// Only the winner is read: the first horse-profile link on the page. That is
+// the one thing every archived result (docs/results) came from; the table and
+// runner-card selectors tried before it never matched, so no SP, jockey,
+// trainer or placings were ever found. Positions, SPs, non-finishers and
+// non-runners need a page captured from the results site, and a test against
+// it, before they're read. A page with no horse link is 'low' confidence.
+
+'use strict';
+
+function extractResult(doc) {
+  const clean = s => (s || '').replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+  const name = clean(doc.querySelector('a[href*="/horse-racing/horse/"]')?.textContent);
+  return name
+    ? { winner: { name }, confidence: 'high', issues: [] }
+    : { winner: null, confidence: 'low', issues: ['no winner found'] };
+}
+
+module.exports = { extractResult };
@@ -0,0 +1,47 @@
+// rule4.js
+// Tattersalls Rule 4(c): deductions from winning bets when a runner is
+// withdrawn after the price was taken. Expressed as a fraction of the
+// winnings (0.15 = 15p in the £), keyed on the withdrawn horse's price.
+
+'use strict';
+
+const { toDec } = require('./odds');
+
+// [longest decimal price in the band, deduction]
+const RULE4_TABLE = [
+  [1.112, 0.90],  // 1/9 or shorter
+  [1.17, 0.85],   // 2/17 – 1/6
+  [1.25, 0.80],   // 2/11 – 1/4
+  [1.34, 0.75],   // 2/7 – 1/3
+  [1.45, 0.70],   // 5/14 – 4/9
+  [1.62, 0.65],   // 1/2 – 8/13
+  [1.80, 0.60],   // 4/6 – 4/5
+  [1.96, 0.55],   // 5/6 – 20/21
+  [2.20, 0.50],   // evens – 6/5
+  [2.50, 0.45],   // 5/4 – 6/4
+  [2.75, 0.40],   // 8/5 – 7/4
+  [3.25, 0.35],   // 9/5 – 9/4
+  [4.00, 0.30],   // 12/5 – 3/1
+  [5.00, 0.25],   // 16/5 – 4/1
+  [6.50, 0.20],   // 9/2 – 11/2
+  [10.0, 0.15],   // 6/1 – 9/1
+  [15.0, 0.10]    // 10/1 – 14/1
+];
+
+const MAX_DEDUCTION = 0.90;
+
+// deduction for one withdrawn horse at `price` (fractional, decimal or number)
+function rule4Deduction(price) {
+  const dec = toDec(price);
+  if (!dec || dec <= 1) return 0;
+  const band = RULE4_TABLE.find(([maxDec]) => dec <= maxDec + 1e-9);
+  return band ? band[1] : 0;
+}
+
+// several withdrawals in one race add up, capped at 90p
+function combinedRule4(prices) {
+  const total = (prices || []).reduce((sum, p) => sum + rule4Deduction(p), 0);
+  return +Math.min(total, MAX_DEDUCTION).toFixed(2);
+}
+
+module.exports = { rule4Deduction, combinedRule4, RULE4_TABLE, MAX_DEDUCTION };
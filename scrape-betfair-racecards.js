@@ -2,24 +2,49 @@
 /**
  * Betfair racecards scraper (Playwright)
  * Outputs: betfair-racecards-YYYY-MM-DD.json
- * Runners now include: name, jockey, trainer, form (F), odds { sbk, exc }
+ * Races carry declared runners; runners carry jockey, trainer, form (F) and
+ * odds { sbk, exchange }. Full shape, and the fields not read yet: racecard-parser.js.
+ *
+ * Usage:
+ *   node scrape-betfair-racecards.js                         live scrape (today)
+ *   node scrape-betfair-racecards.js --tomorrow              next day's declarations
+ *   node scrape-betfair-racecards.js --date 2025-10-18       one racing day (also --today, --yesterday)
+ *   node scrape-betfair-racecards.js --date 2025-10-18..2025-10-20
+ *   node scrape-betfair-racecards.js --from 2025-10-18 --to 2025-10-20
+ *   node scrape-betfair-racecards.js --save-snapshots[=DIR]  live scrape + keep page HTML
+ *                                                            (default DIR: snapshots/YYYY-MM-DD)
+ *   node scrape-betfair-racecards.js --replay DIR            parse saved snapshots, no network
+ *   --out FILE  override the output file name (single day only)
+ *   --fresh     ignore checkpoints / an existing day file and fetch every race
+ *
+ * Resuming: progress is checkpointed after every race (racecard-checkpoint.js),
+ * so rerunning a day only fetches races that are missing or failed.
+ * A scrape report (racecard-report.js) is written next to each day's file.
+ *
+ * Each day is written to betfair-racecards-<racing day>.json, whatever the clock says.
  */
 
 const fs = require('fs/promises');
+const path = require('path');
 const { chromium, devices } = require('playwright');
+const { extractRaceLinks, extractRaceInfo, extractRunners, runInPage } = require('./racecard-parser');
+const { createSnapshotStore, replaySnapshots } = require('./racecard-snapshots');
+const { todayISO, betfairDaySlug, getTargetDatesFromArgs } = require('./race-dates');
+const { openCheckpoint } = require('./racecard-checkpoint');
+const { buildScrapeReport, reportPathFor } = require('./racecard-report');
+const { argValue, hasFlag } = require('./cli');
 
 const BASE = 'https://betting.betfair.com';
 const START_URL = `${BASE}/horse-racing/racecards/`;
 
+// Today's cards live on the default page; other days under /racecards/19-september-2025/
+const startUrlFor = date => (date === todayISO() ? START_URL : `${START_URL}${betfairDaySlug(date)}/`);
+
 const CONCURRENCY = 2;                 // keep it low
 const BASE_DELAY_MS = 400;             // human-ish pacing
 const RETRY_ON_EMPTY = 1;              // one retry if no runners
 
 const clean = s => (s || '').replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
-const todayISO = () => {
-  const d = new Date(), p = n => String(n).padStart(2, '0');
-  return `${d.getFullYear()}-${p(d.getMonth()+1)}-${p(d.getDate())}`;
-};
 
 // tiny promise pool
 async function mapPool(items, limit, fn) {
@@ -39,45 +64,31 @@ async function mapPool(items, limit, fn) {
   });
 }
 
-async function getRaceLinks(page) {
+async function getRaceLinks(page, date, snapshots) {
   // Don’t block CSS here.
-  await page.goto(START_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  await page.goto(startUrlFor(date), { waitUntil: 'domcontentloaded', timeout: 30000 });
 
   // cookie banner (best effort)
   try { const btn = await page.$('button:has-text("Accept")'); if (btn) await btn.click({ timeout: 1000 }); } catch {}
 
-  // wait for any meeting list
-  await page.waitForSelector('h2.typography-h280', { timeout: 15000 });
-
-  // extract all a-tags under each course list
-  const links = await page.evaluate(() => {
-    const out = [];
-    const toAbs = href => new URL(href, location.origin).href;
-    for (const h2 of document.querySelectorAll('h2.typography-h280')) {
-      const course = (h2.textContent || '').trim();
-      // pick the UL immediately following or the next UL with race_navigation
-      let ul = h2.nextElementSibling;
-      while (ul && !(ul.tagName === 'UL' && ul.classList.contains('race_navigation'))) {
-        ul = ul.nextElementSibling;
-      }
-      if (!ul) continue;
-      for (const a of ul.querySelectorAll('li.race_navigation__item a')) {
-        const time = (a.textContent || '').trim();
-        const href = a.getAttribute('href') || '';
-        if (href) out.push({ course, time, url: toAbs(href) });
-      }
-    }
-    // dedupe
-    const seen = new Set();
-    return out.filter(r => {
-      const key = `${r.course}|${r.time}|${r.url}`;
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
-  });
+  // wait for any meeting list (snapshot either way, a missing list is worth replaying)
+  try {
+    await page.waitForSelector('h2.typography-h280', { timeout: 15000 });
+  } finally {
+    if (snapshots) await snapshots.save('index', page).catch(() => {});
+  }
 
-  return links.map(r => ({ course: clean(r.course), time: clean(r.time), url: r.url }));
+  const links = await runInPage(page, extractRaceLinks);
+
+  // The index can list neighbouring days too; race URLs carry their day, keep ours.
+  const daySlug = `/${betfairDaySlug(date)}/`;
+  const dated = /\/\d{2}-[a-z]+-\d{4}\//;
+  const forDay = links.filter(r => !dated.test(r.url) || r.url.includes(daySlug));
+  if (forDay.length < links.length) {
+    console.log(`Ignoring ${links.length - forDay.length} race links for other days.`);
+  }
+
+  return forDay.map(r => ({ course: clean(r.course), time: clean(r.time), url: r.url }));
 }
 
 // async function getRunnersForRace(context, race, attempt = 0) {
@@ -164,7 +175,7 @@ async function getRaceLinks(page) {
 //     await page.close().catch(() => {});
 //   }
 // }
-async function getRunnersForRace(context, race, attempt = 0) {
+async function getRunnersForRace(context, race, snapshots, attempt = 0) {
   const page = await context.newPage();
 
   await page.route('**/*', route => {
@@ -179,6 +190,7 @@ async function getRunnersForRace(context, race, attempt = 0) {
     // If Betfair redirected us to /results/, this race is already off/finished.
     const landed = page.url();
     if (landed.includes('/results/')) {
+      if (snapshots) await snapshots.save(race.url, page);
       console.warn(`Redirected to results → skipping finished race: ${race.course} ${race.time}`);
       return { ...race, runners: [], _note: 'skipped_finished' };
     }
@@ -188,38 +200,26 @@ async function getRunnersForRace(context, race, attempt = 0) {
 
     await page.waitForSelector('.featured_runner', { timeout: 15000 });
 
-    const runners = await page.$$eval(
-      '.featured_runner',
-      cards => cards.map(card => {
-        const getText = (sel) => (card.querySelector(sel)?.textContent || '').replace(/\u00a0/g,' ').replace(/\s+/g,' ').trim();
-        const name = getText('h4.name a, h4.name');
-        const jockey = getText('ul.team li:nth-child(1)');
-        const trainer = getText('ul.team li:nth-child(2)');
-        const form = getText('ul.team li:nth-child(3)');
-        // odds
-        const sbkEl = card.querySelector('.market_odds__sbk .price_button');
-        const excEl = card.querySelector('.market_odds__exc .price_button--exc');
-        const sbk = sbkEl ? sbkEl.textContent.replace(/SBK/i,'').trim() : '';
-        const exc = excEl ? excEl.textContent.replace(/EXC/i,'').trim() : '';
-        return { name, jockey: jockey.replace(/^J:\s*/,'').trim(), trainer: trainer.replace(/^T:\s*/,'').trim(), form: (form.replace(/^F:\s*/,'') || '').trim(), odds: { sbk, exchange: exc } };
-      })
-    );
+    const info = await runInPage(page, extractRaceInfo);
+    const runners = await runInPage(page, extractRunners);
+    if (snapshots) await snapshots.save(race.url, page);
 
     if ((!runners || runners.length === 0) && attempt < RETRY_ON_EMPTY) {
       await new Promise(r => setTimeout(r, 1200));
-      return await getRunnersForRace(context, race, attempt + 1);
+      return await getRunnersForRace(context, race, snapshots, attempt + 1);
     }
 
-    return { ...race, runners };
+    return { ...race, ...info, runners };
   } catch (e) {
     console.error(`Race failed [${race.course} ${race.time}] ${race.url}: ${e.message}`);
+    // keep whatever the page rendered: a selector timeout is exactly what we want to replay
+    if (snapshots) await snapshots.save(race.url, page).catch(() => {});
     return { ...race, runners: [], _error: e.message };
   } finally {
     await page.close().catch(() => {});
   }
 }
-async function main() {
-  const date = todayISO();
+async function scrapeLive(date, snapshots, checkpoint) {
   const device = devices['Desktop Chrome'];
 
   const browser = await chromium.launch({ headless: true });
@@ -230,32 +230,101 @@ async function main() {
     userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36',
   });
 
-  const indexPage = await context.newPage();
-  const raceLinks = await getRaceLinks(indexPage);
-  await indexPage.close();
-
-  if (!raceLinks.length) throw new Error('No race links found on index.');
-
-  console.log(`Found ${raceLinks.length} race links. Scraping runners…`);
-
-  const results = await mapPool(raceLinks, CONCURRENCY, async (race, idx) => {
-    // gentle jitter
-    const jitter = BASE_DELAY_MS + Math.floor(Math.random() * 300);
-    await new Promise(r => setTimeout(r, jitter));
-    return await getRunnersForRace(context, race);
-  });
+  try {
+    const indexPage = await context.newPage();
+    const raceLinks = await getRaceLinks(indexPage, date, snapshots);
+    await indexPage.close();
+
+    if (!raceLinks.length) throw new Error(`No race links found on index for ${date}.`);
+
+    console.log(`[${date}] Found ${raceLinks.length} race links. Scraping runners…`);
+
+    const scraped_at = new Date().toISOString();
+    let reused = 0, fetched = 0;
+    const races = await mapPool(raceLinks, CONCURRENCY, async (race, idx) => {
+      const done = checkpoint.get(race.url);
+      if (done) { reused++; return { ...done, course: race.course, time: race.time }; }
+
+      // gentle jitter
+      const jitter = BASE_DELAY_MS + Math.floor(Math.random() * 300);
+      await new Promise(r => setTimeout(r, jitter));
+      const result = await getRunnersForRace(context, race, snapshots);
+      fetched++;
+      await checkpoint.record(result);
+      return result;
+    });
+    if (reused) console.log(`[${date}] Reused ${reused} races from the previous run, fetched ${fetched}.`);
 
-  await browser.close();
+    return { payload: { date, scraped_at, races }, reused, fetched };
+  } finally {
+    await browser.close();
+    if (snapshots) {
+      await snapshots.flush();
+      console.log(`Snapshots saved → ${snapshots.dir}`);
+    }
+  }
+}
 
-  const payload = { date, races: results };
-  const file = `betfair-racecards-${date}.json`;
+async function writePayload(payload, file, stats) {
+  const results = payload.races;
   await fs.writeFile(file, JSON.stringify(payload, null, 2), 'utf8');
 
   const withRunners = results.filter(r => r.runners && r.runners.length).length;
   console.log(`Saved ${results.length} races (${withRunners} with runners) → ${file}`);
+
+  const report = buildScrapeReport(payload, stats);
+  const reportFile = reportPathFor(file);
+  await fs.writeFile(reportFile, JSON.stringify(report, null, 2), 'utf8');
+  console.log(`Scrape report: ${report.status}, coverage ${(report.coverage * 100).toFixed(0)}%` +
+    ` (${report.timeouts} timeouts, ${report.empty_cards} empty, ${report.errors} errors) → ${reportFile}`);
+}
+
+async function main() {
+  const replayDir = argValue('replay');
+  const saveDir = argValue('save-snapshots');   // bare flag: snapshots/<date>/
+  const outArg = argValue('out');
+  const outFor = date => outArg || `betfair-racecards-${date}.json`;
+
+  if (hasFlag('replay') && !replayDir) throw new Error('--replay needs a snapshot directory.');
+  if (replayDir) {
+    const payload = await replaySnapshots(replayDir);
+    console.log(`Replayed ${payload.races.length} races from ${replayDir}`);
+    await writePayload(payload, outFor(payload.date), { fetched: payload.races.length });
+    return;
+  }
+
+  const dates = getTargetDatesFromArgs();
+  if (dates.length > 1 && outArg) throw new Error('--out only works with a single day.');
+
+  // One day failing (e.g. declarations not up yet) shouldn't lose the others.
+  const failed = [];
+  for (const date of dates) {
+    let snapshots = null;
+    if (hasFlag('save-snapshots')) {
+      const dir = !saveDir ? path.join('snapshots', date)
+        : dates.length > 1 ? path.join(saveDir, date) : saveDir;
+      snapshots = createSnapshotStore(dir, date);
+    }
+    try {
+      const file = outFor(date);
+      const checkpoint = await openCheckpoint(date, { seedFile: file, fresh: hasFlag('fresh') });
+      const { payload, reused, fetched } = await scrapeLive(date, snapshots, checkpoint);
+      await writePayload(payload, file, { reused, fetched });
+      await checkpoint.clear();
+    } catch (e) {
+      if (dates.length === 1) throw e;
+      console.error(`[${date}] SCRAPE FAILED: ${e?.message || e}`);
+      failed.push(date);
+    }
+  }
+  if (failed.length) throw new Error(`${failed.length}/${dates.length} days failed: ${failed.join(', ')}`);
+}
+
+if (require.main === module) {
+  main().catch(e => {
+    console.error('SCRAPE FAILED:', e?.message || e);
+    process.exit(1);
+  });
 }
 
-main().catch(e => {
-  console.error('SCRAPE FAILED:', e?.message || e);
-  process.exit(1);
-});
+module.exports = { scrapeLive };
@@ -1,152 +1,117 @@
 /**
  * select-top3.js
  *
- * Reads the daily Perplexity-analyzed picks JSON and outputs a refined version
- * containing only the top 3 profitable horses per race (expected value > 0).
+ * Reads the daily LLM-analyzed picks JSON and outputs refined versions of it;
+ * the default "top3" strategy keeps the top 3 profitable horses per race
+ * (expected value > 0).
+ * EV uses the model's win_prob when the pick has one (prob_source: 'model'),
+ * otherwise the odds/confidence heuristic (prob_source: 'heuristic').
+ *
+ * The filters (EV floor, picks per race/day, odds band, race types, courses,
+ * heuristic weights) are named strategies in strategies.json, see
+ * strategies.js. Every strategy run is saved as its own picks set in
+ * docs/strategies/<name>/YYYY/MM/DATE.json and docs/strategies/<name>/latest.json;
+ * the primary one is also the daily archive (docs/picks/) and docs/latest.json.
+ * Each pick gets a recommended stake from the strategy's staking plan and the
+ * bank in its bankroll.json (staking.js, bankroll.js). Strategies with a
+ * "multiples" key also publish doubles, trebles, Yankees and Lucky 15s built
+ * from the day's picks (multiples.js).
  *
  * Usage:
  *   node select-top3.js betfair-racecards-picks-2025-10-10.json
+ *     --strategy a,b      run only these strategies (default: all)
+ *     --strategies FILE   strategy config (default strategies.json)
+ *     --racecards FILE    the day's racecard file, for fair market probabilities
+ *                         (default betfair-racecards-DATE.json beside the input)
  */
 
+'use strict';
+
 const fs = require('fs');
 const path = require('path');
-
-// ---------- Helpers ----------
-function toDec(odds) {
-  if (!odds) return null;
-  const s = String(odds).trim();
-
-  // Decimal format
-  if (/^\d+(\.\d+)?$/.test(s)) return parseFloat(s);
-
-  // Fractional like 5/2 → 3.5
-  const frac = s.match(/^(\d+)\s*\/\s*(\d+)$/);
-  if (frac) {
-    const a = +frac[1], b = +frac[2];
-    if (b > 0) return a / b + 1;
-  }
-
-  // Extract from strings like "EXC 4.8"
-  const num = s.match(/(\d+(?:\.\d+)?)(?:\s*\/\s*(\d+))?/);
-  if (num) {
-    if (num[2]) {
-      const a = +num[1], b = +num[2];
-      if (b > 0) return a / b + 1;
-    }
-    return parseFloat(num[1]);
-  }
-  return null;
-}
-
-function impliedProb(odds) {
-  const d = toDec(odds);
-  return d && d > 1 ? 1 / d : 0;
-}
-
-function adjustedProb(pick) {
-  let p = impliedProb(pick.exchange || pick.exc_dec || pick.odds || pick.odds_note);
-  const conf = (pick.confidence || '').toLowerCase();
-  if (conf.includes('high')) p *= 1.1;
-  else if (conf.includes('medium')) p *= 1.05;
-
-  // Simple form bonus/penalty
-  if (pick.form && /1/.test(pick.form)) p *= 1.05;
-  if (pick.form && /0/.test(pick.form)) p *= 0.95;
-  return Math.min(p, 0.99);
-}
-
-function expectedValue(prob, oddsDec) {
-  if (!oddsDec || !prob) return -1;
-  return (prob * (oddsDec - 1)) - (1 - prob);
-}
-
-function calcPotentialProfit(picks) {
-  // 1€ stake each, one winner → profit = (winnerOdds - 3)
-  for (const p of picks) {
-    if (p.oddsDec && p.oddsDec - 3 > 0) return p.oddsDec - 3;
-  }
-  return -1;
-}
+const { loadStrategies, stakingFor, applyStrategy, DEFAULT_FILE } = require('./strategies');
+const { loadCalibration } = require('./calibration');
+const { stakeDay, bankOn, bankrollPath } = require('./staking');
+const { buildMultiples } = require('./multiples');
+const { argValue, positionalArgs } = require('./cli');
 
 // ---------- Main ----------
-const inFile = process.argv[2];
+const inFile = positionalArgs(process.argv.slice(2), ['strategy', 'strategies', 'racecards'])[0];
 if (!inFile) {
-  console.error('Usage: node select-top3.js <input-file>');
+  console.error('Usage: node select-top3.js <input-file> [--strategy a,b] [--strategies FILE]');
+  process.exit(1);
+}
+
+const config = loadStrategies(argValue('strategies') || DEFAULT_FILE);
+const names = argValue('strategy') ? argValue('strategy').split(',').map(s => s.trim()).filter(Boolean) : Object.keys(config.strategies);
+const unknown = names.filter(n => !config.strategies[n]);
+if (unknown.length) {
+  console.error(`Unknown strategy: ${unknown.join(', ')}. Defined: ${Object.keys(config.strategies).join(', ')}`);
   process.exit(1);
 }
 
 const text = fs.readFileSync(inFile, 'utf8');
 const data = JSON.parse(text);
 
-const refined = {
-  ...data,
-  races: [],
-  generated_at: new Date().toISOString(),
-  note: 'Filtered to top 3 profitable picks per race'
-};
-
-for (const race of data.races || []) {
-  const course = race.course?.trim() || '';
-  const time = race.time?.trim() || '';
-  const picks = (race.shortlist || []).map(p => {
-    const dec = toDec(p.exchange || p.exc_dec || p.odds || p.odds_note);
-    const prob = adjustedProb(p);
-    const ev = expectedValue(prob, dec);
-    return { ...p, oddsDec: dec, probability: prob, expected_value: ev };
-  });
-
-  // keep only EV > 0
-  let profitable = picks.filter(p => p.expected_value > 0);
-
-  // sort by adjusted probability descending
-  profitable.sort((a, b) => b.probability - a.probability);
-
-  // 🔥 enforce hard cap of 3 no matter what
-  profitable = profitable.slice(0, 3);
-
-  // if we ended up with fewer than 1–2 picks, skip
-  if (profitable.length === 0) continue;
-
-  // recalc potential profit
-  const potential = calcPotentialProfit(profitable);
-  if (potential <= 0) continue;
-
-  refined.races.push({
-    course,
-    time,
-    url: race.url,
-    shortlist: profitable.map(p => ({
-      name: p.name,
-      odds: p.exchange || p.odds || p.odds_note || `${p.oddsDec?.toFixed(2)} (dec)`,
-      oddsDec: p.oddsDec,
-      probability: +(p.probability * 100).toFixed(1),
-      expected_value: +p.expected_value.toFixed(3),
-      rationale: p.rationale,
-      trainer: p.trainer,
-      jockey: p.jockey,
-      confidence: p.confidence
-    })),
-    combo_profit_check: potential.toFixed(2)
-  });
-
-  console.log(`${course} ${time} → ${profitable.length} profitable picks (combo +${potential.toFixed(2)}€)`);
-}
-
-if (!refined.races.length) {
-  console.warn('⚠️ No races qualified for profitable top3 selection.');
-}
+// every runner's price, to take the overround out of the market (market.js)
+const cardFile = argValue('racecards') || path.join(path.dirname(inFile), `betfair-racecards-${data.date}.json`);
+let racecards = null;
+try { racecards = JSON.parse(fs.readFileSync(cardFile, 'utf8')); }
+catch { console.warn(`⚠️ No racecard file at ${cardFile}; picks get no fair market probability.`); }
 
-// === Save output ===
-const d = new Date(refined.date || new Date());
+const d = new Date(data.date || new Date());
 const Y = d.getFullYear(), M = String(d.getMonth() + 1).padStart(2, '0');
-const archiveDir = path.join('docs', 'picks', Y.toString(), M);
-fs.mkdirSync(archiveDir, { recursive: true });
+const day = data.date || new Date().toISOString().slice(0, 10);
 
-// keep original archive naming (no "-top3" suffix)
-const outFile = path.join(archiveDir, `${refined.date || toYMD(new Date())}.json`);
-fs.writeFileSync(outFile, JSON.stringify(refined, null, 2));
-console.log(`✅ Saved filtered (top3) archive: ${outFile}`);
+function save(file, obj) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(obj, null, 2));
+}
 
-// also copy to docs/latest.json for dashboard
-fs.copyFileSync(outFile, path.join('docs', 'latest.json'));
-console.log('📋 Updated docs/latest.json');
+for (const name of names) {
+  const strategy = config.strategies[name];
+  let calibration = null;
+  if (strategy.calibration) {
+    try { calibration = loadCalibration(strategy.calibration); }
+    catch (e) { console.warn(`⚠️ ${e.message}; ${name} uses uncalibrated probabilities.`); }
+  }
+  const { races, log } = applyStrategy(data, strategy, { racecards, calibration });
+
+  // stakes from the bank after the last settled day (the archive's bankroll for the primary)
+  const plan = stakingFor(config, name);
+  let bankroll = null;
+  try { bankroll = JSON.parse(fs.readFileSync(bankrollPath(name === config.primary ? null : name), 'utf8')); } catch {}
+  const staking = stakeDay(races, plan, bankOn(bankroll, day, plan.bank));
+
+  const refined = {
+    ...data,
+    races,
+    generated_at: new Date().toISOString(),
+    strategy: name,
+    note: strategy.description || `Strategy ${name}`,
+    staking,
+    ...(strategy.multiples ? { multiples: buildMultiples(races, strategy.multiples) } : {})
+  };
+
+  console.log(`\n[${name}]`);
+  for (const line of log) console.log(line);
+  for (const m of refined.multiples || []) console.log(`${m.type}: ${m.lines} × ${m.unit_stake} on ${m.legs.map(l => l.name).join(' / ')} (EV ${m.expected_value})`);
+  if (!races.length) console.warn(`⚠️ No races qualified for strategy ${name}.`);
+
+  const stratDir = path.join('docs', 'strategies', name);
+  const stratFile = path.join(stratDir, Y.toString(), M, `${day}.json`);
+  save(stratFile, refined);
+  fs.copyFileSync(stratFile, path.join(stratDir, 'latest.json'));
+  console.log(`✅ Saved ${name} picks: ${stratFile}`);
+
+  if (name !== config.primary) continue;
+
+  // keep original archive naming (no "-top3" suffix)
+  const outFile = path.join('docs', 'picks', Y.toString(), M, `${day}.json`);
+  save(outFile, refined);
+  console.log(`✅ Saved filtered (${name}) archive: ${outFile}`);
+
+  // also copy to docs/latest.json for dashboard
+  fs.copyFileSync(outFile, path.join('docs', 'latest.json'));
+  console.log('📋 Updated docs/latest.json');
+}
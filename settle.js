@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Settlement ledger (see settlement.js)
+ *
+ * Settles every archived picks day that has a results file and writes its
+ * ledger: each pick's return and P/L at the advised, exchange and SP price,
+ * with dead heats, non-runners and Rule 4 applied, plus the day's multiples
+ * at advised prices. bankroll.js and the dashboard read these ledgers.
+ *
+ * Usage:
+ *   node settle.js                     docs/picks → docs/ledger/YYYY/MM/DATE.json
+ *   node settle.js --strategy value    docs/strategies/value → docs/strategies/value/ledger/…
+ *   node settle.js --all               the archive and every strategy
+ *   --date YYYY-MM-DD                  only that day
+ *   --strategies FILE                  strategy config (default strategies.json)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadStrategies, stakingFor, DEFAULT_FILE } = require('./strategies');
+const { settleDay, ledgerPath, archivedDays } = require('./settlement');
+const { argValue, readJSON, resultsFor } = require('./cli');
+
+function writeLedgers(label, root, plan, strategy, onlyDate) {
+  let days = 0, pnl = 0, pending = 0;
+  for (const { date, file } of archivedDays(root)) {
+    if (onlyDate && date !== onlyDate) continue;
+    const results = resultsFor(date);
+    const picks = readJSON(file);
+    if (!results || !picks) continue;
+    const ledger = { generated_at: new Date().toISOString(), label, ...settleDay({ ...picks, date }, results, plan) };
+    const out = ledgerPath(date, strategy);
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, JSON.stringify(ledger, null, 2));
+    days++;
+    pnl += ledger.totals.advised.pnl;
+    pending += ledger.pending;
+  }
+  console.log(`${label}: ${days} ledger day${days === 1 ? '' : 's'}, P/L ${pnl >= 0 ? '+' : ''}${pnl.toFixed(2)} at advised prices${pending ? `, ${pending} bets pending` : ''}`);
+}
+
+(function main() {
+  const config = loadStrategies(argValue('strategies') || DEFAULT_FILE);
+  const only = argValue('strategy');
+  const date = argValue('date');
+  if (only && !config.strategies[only]) {
+    console.error(`Unknown strategy: ${only}. Defined: ${Object.keys(config.strategies).join(', ')}`);
+    process.exit(1);
+  }
+
+  const all = process.argv.includes('--all');
+  if (!only || all) writeLedgers('archive', path.join('docs', 'picks'), stakingFor(config, config.primary), null, date);
+  const names = all ? Object.keys(config.strategies) : only ? [only] : [];
+  for (const name of names) {
+    writeLedgers(name, path.join('docs', 'strategies', name), stakingFor(config, name), name, date);
+  }
+})();
@@ -0,0 +1,232 @@
+// settlement.js
+// Settles every published pick against the day's results into a ledger,
+// under three price bases:
+//
+//   advised    the price published on the pick (the one the dashboard shows)
+//   exchange   the Betfair exchange price when the pick was made
+//   sp         the starting price, when the results carry one (the scraped
+//              results only have the winner's name; see results-parser.js)
+//
+// Dead heats divide the stake by the horses tied (eachway.js betReturn),
+// non-runners are void with the stake returned, and a Rule 4 deduction
+// (reconcile-nonrunners.js) comes off the winnings of advised and exchange
+// prices; the SP market re-forms after a withdrawal, so SP bets keep theirs.
+// The day's multiples (multiples.js) are settled at the advised prices of
+// their legs and count in the advised totals only.
+//
+// LEDGER SHAPE (docs/ledger/YYYY/MM/YYYY-MM-DD.json, or the strategy's own
+// docs/strategies/<name>/ledger/…):
+// {
+//   date, plan, unit,
+//   totals:  { advised: { bets, staked, returned, pnl, roi }, exchange: {…}, sp: {…} },
+//            (advised counts each settled multiple as one bet)
+//   void, pending, unsettled,               (unsettled = races with picks and no usable result)
+//   bets: [{
+//     course, time, name, bet_type, stake,
+//     status:     'won' | 'placed' | 'lost' | 'void' | 'pending' | 'unmatched',
+//     position, dead_heat (horses tied, when > 1), rule4, place_terms,
+//     prices:     { advised, exchange, sp },
+//     unit_return: { advised, exchange, sp },      (return per 1 staked, as bet; null if unpriced)
+//     win_unit_return: { … },                      (each-way bets: the same settled as a win bet)
+//     returned:   { … }, pnl: { … }
+//   }],
+//   multiples?: [{ type, lines, stake, legs: [{ course, time, name, outcome }], status, returned, pnl }]
+// }
+//
+// A race whose result is missing or low confidence leaves its bets pending,
+// and so does an each-way bet that didn't win when the result has no placings;
+// a pick the result doesn't list at all is 'unmatched' rather than a loser.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { toDec } = require('./odds');
+const { betReturn } = require('./eachway');
+const { settleMultiple } = require('./multiples');
+const { sameHorse, matchHorse, raceKey } = require('./identity');
+
+const BASES = ['advised', 'exchange', 'sp'];
+const DAY_RE = /^\d{4}-\d{2}-\d{2}\.json$/;
+
+const round = (x, d = 2) => (x == null ? null : +x.toFixed(d));
+const perBasis = f => Object.fromEntries(BASES.map(b => [b, f(b)]));
+
+// the price the pick was advised at, as the dashboard reads it
+const advisedPrice = p => toDec(p.exc_dec) ?? toDec(p.exchange) ?? toDec(p.odds) ?? toDec(p.odds_note) ?? null;
+
+// exchange price at pick time: the pick's own field, the exchange quote in
+// its odds note ("7/2 SBK, 5.0 Exchange"), or the first tracked exchange price
+function exchangePrice(p) {
+  const direct = toDec(p.exc_dec) ?? toDec(p.exchange);
+  if (direct) return direct;
+  for (const text of [p.odds, p.odds_note]) {
+    if (typeof text !== 'string') continue;
+    const m = text.match(/(\d+(?:\.\d+)?)\s*(?:exchange|exc)\b/i) || text.match(/\b(?:exchange|exc)\s*[:=]?\s*(\d+(?:\.\d+)?)/i);
+    if (m && +m[1] > 1) return +m[1];
+  }
+  return p.market_move?.basis === 'exchange' ? p.market_move.from : null;
+}
+
+/**
+ * Where a horse finished in one results entry, matched by identity.js
+ * (fuzzy matches are logged).
+ * → { status: 'ran' | 'non_runner' | 'unmatched', position, tied, sp }
+ * A full finishing order is used when a results entry has one; the scraped
+ * results (results-parser.js) only name the winner, so there anyone else is
+ * unplaced.
+ */
+function runnerOutcome(res, name) {
+  const where = `${res.course} ${res.time}`;
+  const tiedOn = (rows, pos) => rows.filter(r => r.pos === pos).length || 1;
+  if (Array.isArray(res.finishing_order)) {
+    if ((res.non_runners || []).some(n => sameHorse(n, name))) return { status: 'non_runner', position: null, tied: 1, sp: null };
+    const f = matchHorse(name, [...res.finishing_order, ...(res.non_finishers || [])], where);
+    if (!f) return { status: 'unmatched', position: null, tied: 1, sp: null };
+    return { status: 'ran', position: f.pos ?? null, tied: f.pos ? tiedOn(res.finishing_order, f.pos) : 1, sp: f.sp ?? null };
+  }
+  const placed = res.placed || [];
+  const pl = placed.find(r => sameHorse(r.name, name));
+  if (pl) return { status: 'ran', position: pl.pos, tied: tiedOn(placed, pl.pos), sp: pl.sp ?? null };
+  if (sameHorse(res.winner?.name, name)) return { status: 'ran', position: 1, tied: res.winner.dead_heat ? 2 : 1, sp: res.winner.sp ?? null };
+  return { status: 'ran', position: null, tied: 1, sp: null };
+}
+
+// One pick → a ledger bet (unrounded; see roundBet)
+function settlePick(pick, race, res, { unit = 1 } = {}) {
+  const bet = {
+    course: race.course,
+    time: race.time,
+    name: pick.name,
+    bet_type: pick.bet_type || 'win',
+    stake: Number.isFinite(pick.stake) ? pick.stake : unit,
+    status: 'pending',
+    position: null,
+    rule4: 0,
+    prices: { advised: advisedPrice(pick), exchange: exchangePrice(pick), sp: null }
+  };
+  if (!res?.winner?.name || res.confidence === 'low') return bet;
+
+  const outcome = runnerOutcome(res, pick.name);
+  const voided = pick.void || (res.void_picks || []).some(n => sameHorse(n, pick.name)) || outcome.status === 'non_runner';
+  if (voided) {
+    const back = perBasis(b => (bet.prices[b] ? 1 : null));
+    return { ...bet, status: 'void', unit_return: back, returned: perBasis(b => back[b] && bet.stake), pnl: perBasis(b => back[b] && 0) };
+  }
+  if (outcome.status === 'unmatched') return { ...bet, status: 'unmatched' };
+
+  const rule4 = Number(race.rule4_deduction ?? res.rule4_deduction) || 0;
+  const terms = race.place_terms || res.place_terms || null;
+  const eachWay = bet.bet_type === 'each_way' && !!terms;
+  // winner-only results can't say whether an each-way bet placed
+  const placings = Array.isArray(res.finishing_order) || Array.isArray(res.placed);
+  if (eachWay && outcome.position !== 1 && !placings) return bet;
+  const prices = { ...bet.prices, sp: toDec(outcome.sp) };
+  const unitReturn = type => perBasis(b => (prices[b] > 1
+    ? betReturn({ stake: 1, dec: prices[b], bet_type: type, terms, position: outcome.position, rule4: b === 'sp' ? 0 : rule4, tied: outcome.tied })
+    : null));
+  const ur = unitReturn(bet.bet_type);
+  return {
+    ...bet,
+    status: outcome.position === 1 ? 'won' : eachWay && outcome.position != null && outcome.position <= terms.places ? 'placed' : 'lost',
+    position: outcome.position,
+    ...(outcome.tied > 1 ? { dead_heat: outcome.tied } : {}),
+    rule4,
+    ...(terms ? { place_terms: terms } : {}),
+    prices,
+    unit_return: ur,
+    ...(eachWay ? { win_unit_return: unitReturn('win') } : {}),
+    returned: perBasis(b => (ur[b] == null ? null : ur[b] * bet.stake)),
+    pnl: perBasis(b => (ur[b] == null ? null : (ur[b] - 1) * bet.stake))
+  };
+}
+
+function roundBet(bet) {
+  const out = { ...bet, prices: perBasis(b => round(bet.prices[b])) };
+  for (const k of ['unit_return', 'win_unit_return']) if (bet[k]) out[k] = perBasis(b => round(bet[k][b], 4));
+  for (const k of ['returned', 'pnl']) if (bet[k]) out[k] = perBasis(b => round(bet[k][b]));
+  return out;
+}
+
+/**
+ * Settle one day's picks file against its results file.
+ * `plan` supplies the plan name and the unit for picks without a stake.
+ */
+function settleDay(picks, results, plan = {}) {
+  const unit = plan.unit ?? 1;
+  const byRace = new Map((results?.results || []).map(r => [raceKey(r), r]));
+  const bets = [];
+  let unsettled = 0;
+  for (const race of picks.races || []) {
+    const res = byRace.get(raceKey(race));
+    const shortlist = race.shortlist || [];
+    if (shortlist.length && (!res?.winner?.name || res.confidence === 'low')) unsettled++;
+    for (const p of shortlist) bets.push(settlePick(p, race, res, { unit }));
+  }
+
+  const multiples = (picks.multiples || []).map(m => settleMultiple(m, results));
+  const settledMultiples = multiples.filter(m => m.status === 'settled' && m.stake > 0);
+
+  // a settled, priced bet with a stake counts towards a basis
+  const settled = bets.filter(b => ['won', 'placed', 'lost'].includes(b.status) && b.stake > 0);
+  const totals = perBasis(basis => {
+    const priced = settled.filter(b => b.returned[basis] != null).map(b => ({ stake: b.stake, returned: b.returned[basis] }));
+    if (basis === 'advised') priced.push(...settledMultiples);
+    const staked = priced.reduce((a, b) => a + b.stake, 0);
+    const returned = priced.reduce((a, b) => a + b.returned, 0);
+    return { bets: priced.length, staked: round(staked), returned: round(returned), pnl: round(returned - staked), roi: staked ? round((returned - staked) / staked, 4) : 0 };
+  });
+  return {
+    date: picks.date,
+    plan: plan.plan ?? null,
+    unit,
+    totals,
+    void: bets.filter(b => b.status === 'void').length,
+    pending: bets.filter(b => b.status === 'pending' || b.status === 'unmatched').length,
+    unsettled,
+    bets: bets.map(roundBet),
+    ...(multiples.length ? {
+      multiples: multiples.map(m => ({
+        type: m.type, lines: m.lines, stake: m.stake,
+        legs: m.legs.map(l => ({ course: l.course, time: l.time, name: l.name, outcome: l.outcome })),
+        status: m.status, returned: m.returned ?? null, pnl: m.pnl ?? null
+      }))
+    } : {})
+  };
+}
+
+// One ledger's totals on a basis → { date, bets, staked, returned, pnl, unsettled }
+function ledgerSummary(ledger, basis = 'advised') {
+  const t = ledger.totals[basis];
+  return { date: ledger.date, bets: t.bets, staked: t.staked, returned: t.returned, pnl: t.pnl, unsettled: ledger.unsettled };
+}
+
+// docs/ledger/YYYY/MM/DATE.json for the archive, else the strategy's own
+function ledgerRoot(strategy = null) {
+  return strategy ? path.join('docs', 'strategies', strategy, 'ledger') : path.join('docs', 'ledger');
+}
+
+function ledgerPath(date, strategy = null) {
+  const [Y, M] = date.split('-');
+  return path.join(ledgerRoot(strategy), Y, M, `${date}.json`);
+}
+
+const listDir = dir => (fs.existsSync(dir) ? fs.readdirSync(dir) : []);
+
+// [{ date, file }] under root/YYYY/MM/, oldest first
+function archivedDays(root) {
+  const out = [];
+  for (const Y of listDir(root).filter(y => /^\d{4}$/.test(y))) {
+    for (const M of listDir(path.join(root, Y)).filter(m => /^\d{2}$/.test(m))) {
+      for (const f of listDir(path.join(root, Y, M)).filter(f => DAY_RE.test(f))) {
+        out.push({ date: f.slice(0, 10), file: path.join(root, Y, M, f) });
+      }
+    }
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = {
+  settleDay, settlePick, runnerOutcome, ledgerSummary, ledgerRoot, ledgerPath, archivedDays,
+  advisedPrice, exchangePrice, BASES
+};
@@ -0,0 +1,137 @@
+// staking.js
+// Stake sizing for published picks and the running bankroll behind it.
+//
+// The plan is the "staking" object of strategies.json; a strategy's own
+// "staking" overrides single keys:
+//
+//   bank                starting bank, before any settled day
+//   plan                "level" | "percent" | "kelly"
+//   unit                level stake per pick
+//   percent             percent plan: fraction of the bank per pick (0.01 = 1%)
+//   kelly_fraction      kelly plan: share of the full Kelly stake (0.25 = quarter Kelly)
+//   max_stake_pct       cap on any one stake as a fraction of the bank (optional)
+//   max_daily_exposure  cap on the day's total stakes as a fraction of the bank;
+//                       every stake is scaled down to fit (optional)
+//
+// Stakes are sized from the bank after the last settled day (see
+// buildBankroll / bankroll.js) and published as `stake` on each pick: the
+// total outlay, so an each-way pick's stake is split between win and place.
+// Kelly sizes an each-way bet from its each-way EV over the average net odds
+// of its two parts.
+// Settlement (settlement.js) uses that stake, or `unit` for picks archived
+// before stakes were published.
+
+'use strict';
+
+const path = require('path');
+const { placeOdds } = require('./eachway');
+const { settleDay: settleLedger, ledgerSummary } = require('./settlement');
+
+const PLANS = ['level', 'percent', 'kelly'];
+const DEFAULTS = { bank: 100, plan: 'level', unit: 1, percent: 0.01, kelly_fraction: 0.25, max_stake_pct: null, max_daily_exposure: null };
+
+const cents = x => Math.floor(x * 100 + 1e-9) / 100;
+
+function resolvePlan(base = {}, override = {}) {
+  const plan = { ...DEFAULTS, ...base, ...override };
+  if (!PLANS.includes(plan.plan)) throw new Error(`Staking plan must be one of ${PLANS.join(', ')} (got "${plan.plan}").`);
+  for (const k of ['bank', 'unit', 'percent', 'kelly_fraction']) {
+    if (!(Number.isFinite(plan[k]) && plan[k] > 0)) throw new Error(`Staking ${k} must be a positive number.`);
+  }
+  for (const k of ['max_stake_pct', 'max_daily_exposure']) {
+    if (plan[k] != null && !(Number.isFinite(plan[k]) && plan[k] > 0)) throw new Error(`Staking ${k} must be a positive number or null.`);
+  }
+  return plan;
+}
+
+// Full Kelly fraction of the bank for a win bet: (p·d - 1) / (d - 1), never below 0
+function kellyFraction(prob, dec) {
+  if (!(prob > 0) || !(dec > 1)) return 0;
+  return Math.max(0, (prob * dec - 1) / (dec - 1));
+}
+
+// The same from an EV per unit and the net odds it's paid at: EV / b
+const kellyFromEV = (ev, netOdds) => (netOdds > 0 ? Math.max(0, ev / netOdds) : 0);
+
+/**
+ * One pick's stake before the daily cap. prob is 0..1; an each-way bet
+ * passes its `ev` and average `netOdds` instead. A bust bank stakes nothing.
+ */
+function stakeFor({ prob, dec, ev = null, netOdds = null }, plan, bank) {
+  if (!(bank > 0)) return 0;
+  let stake;
+  if (plan.plan === 'level') stake = plan.unit;
+  else if (plan.plan === 'percent') stake = bank * plan.percent;
+  else stake = bank * plan.kelly_fraction * (ev != null ? kellyFromEV(ev, netOdds) : kellyFraction(prob, dec));
+  if (plan.max_stake_pct != null) stake = Math.min(stake, bank * plan.max_stake_pct);
+  return Math.max(0, stake);
+}
+
+/**
+ * Set `stake` on every pick of the day's races (select-top3 output, where
+ * probability is a percentage), scaled down to the daily exposure cap.
+ * → { plan, bank, exposure, scaled }
+ */
+function stakeDay(races, plan, bank) {
+  const picks = races.flatMap(r => r.shortlist);
+  const bet = r => p => (p.bet_type === 'each_way' && r.place_terms
+    ? { ev: p.ew_expected_value, netOdds: ((p.oddsDec - 1) + (placeOdds(p.oddsDec, r.place_terms) - 1)) / 2 }
+    : { prob: p.probability / 100, dec: p.oddsDec });
+  const raw = races.flatMap(r => r.shortlist.map(bet(r))).map(b => stakeFor(b, plan, bank));
+  const total = raw.reduce((a, b) => a + b, 0);
+  const cap = plan.max_daily_exposure != null ? bank * plan.max_daily_exposure : Infinity;
+  const scale = total > cap ? cap / total : 1;
+  picks.forEach((p, i) => { p.stake = cents(raw[i] * scale); });
+  return {
+    plan: plan.plan,
+    bank: +bank.toFixed(2),
+    exposure: +picks.reduce((a, p) => a + p.stake, 0).toFixed(2),
+    scaled: scale < 1
+  };
+}
+
+/**
+ * Settle one day's picks file against its results file on the advised
+ * price (settlement.js has the full ledger).
+ * → { date, bets, staked, returned, pnl, unsettled }   (unsettled = races with no result yet)
+ */
+function settleDay(picks, results, plan) {
+  return ledgerSummary(settleLedger(picks, results, plan));
+}
+
+/**
+ * Running bankroll over settled days (oldest first).
+ * → { start_bank, bank, peak, growth, max_drawdown, days: [{ …settleDay, bank, peak, drawdown }] }
+ */
+function buildBankroll(days, startBank) {
+  let bank = startBank, peak = startBank, maxDrawdown = 0;
+  const out = [];
+  for (const d of days) {
+    bank += d.pnl;
+    peak = Math.max(peak, bank);
+    const drawdown = peak > 0 ? (peak - bank) / peak : 0;
+    maxDrawdown = Math.max(maxDrawdown, drawdown);
+    out.push({ ...d, bank: +bank.toFixed(2), peak: +peak.toFixed(2), drawdown: +drawdown.toFixed(4) });
+  }
+  return {
+    start_bank: startBank,
+    bank: +bank.toFixed(2),
+    peak: +peak.toFixed(2),
+    growth: +((bank - startBank) / startBank).toFixed(4),
+    max_drawdown: +maxDrawdown.toFixed(4),
+    days: out
+  };
+}
+
+// The bank to stake `date` from: after the last settled day before it
+function bankOn(bankroll, date, startBank) {
+  const before = (bankroll?.days || []).filter(d => d.date < date);
+  return before.length ? before[before.length - 1].bank : startBank;
+}
+
+// docs/bankroll.json for the archive in docs/picks, else the strategy's own
+function bankrollPath(strategy = null) {
+  return strategy ? path.join('docs', 'strategies', strategy, 'bankroll.json') : path.join('docs', 'bankroll.json');
+}
+
+module.exports = { resolvePlan, kellyFraction, stakeFor, stakeDay, settleDay, buildBankroll, bankOn, bankrollPath, PLANS, DEFAULTS };
@@ -0,0 +1,276 @@
+// strategies.js
+// Named selection strategies for select-top3.js, defined in strategies.json:
+//
+//   {
+//     "primary": "top3",                 published as docs/latest.json
+//     "staking": { … },                  bank and staking plan, see staking.js
+//     "strategies": {
+//       "<name>": {
+//         "description":        text, stored as the output's note
+//         "min_ev":             keep picks with EV > this (1-unit stake)
+//         "max_picks_per_race": best N per race after sorting
+//         "max_picks_per_day":  best N across the day by EV (null = no cap)
+//         "odds":               { "min", "max" } decimal band, either may be null
+//         "race_types":         ["flat", "hurdle", "chase", "nh_flat"] or null for all
+//                               (the racecards don't carry race_type, so a list
+//                               matches nothing until the scraper reads it)
+//         "courses":            allowed course names or null for all
+//         "sort":               "probability" | "ev"  order within a race
+//         "market_method":      "shin" | "power" | "proportional", how the
+//                               racecard book is de-margined (market.js)
+//         "combo_stakes":       optional: a race needs a pick with decimal odds
+//                               above this (one winner covers this many stakes)
+//         "weights":            heuristic used when a pick has no model win_prob:
+//                               { "confidence": { "high", "medium" },
+//                                 "form": { "recent_win", "out_of_form" } }
+//                               recent_win: a win in the last 3 runs;
+//                               out_of_form: runs, but no top-3 in the last 3 (form.js)
+//         "staking":            optional overrides of the top-level staking plan
+//         "each_way":           { "min_odds": 9.0 } bet picks at these decimal odds
+//                               or longer each-way where the race has place terms
+//                               (eachway.js); their EV for min_ev, sorting and the
+//                               day cap is the each-way EV. Leave out for win only.
+//         "multiples":          { "types": ["double", "treble", "yankee", "lucky15"],
+//                                 "unit_stake", "min_leg_prob" } publish multiples
+//                               from the picks (multiples.js). Leave out for none.
+//         "calibration":        optional: a recalibration mapping file
+//                               (calibrate.js --fit) the win probabilities pass
+//                               through before EV; the raw one is kept as
+//                               raw_probability. Leave out to use them as they are.
+//       }
+//     }
+//   }
+//
+// Race-type and course filters drop races whose type/course is unknown.
+//
+// Given the day's racecard file, every pick also gets its fair market
+// probability (fair_prob, plus each method's in fair_probs) and edge = model
+// probability - fair_prob; the heuristic then starts from fair_prob instead
+// of the pick's own 1/odds, which carries the book's margin.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { toDec, impliedProb, parseProb } = require('./odds');
+const { formFeatures, recentRuns } = require('./form');
+const { marketModel, runnerMarket, METHODS, DEFAULT_METHOD } = require('./market');
+const { resolvePlan } = require('./staking');
+const { placeTerms, placeProb, eachWayEV } = require('./eachway');
+const { TYPES: MULTIPLE_TYPES } = require('./multiples');
+const { recalibrate } = require('./calibration');
+const { courseKey, raceKey } = require('./identity');
+
+const DEFAULT_FILE = path.join(__dirname, 'strategies.json');
+
+const DEFAULT_WEIGHTS = {
+  confidence: { high: 1.1, medium: 1.05 },
+  form: { recent_win: 1.05, out_of_form: 0.95 }
+};
+
+function loadStrategies(file = DEFAULT_FILE) {
+  const cfg = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const names = Object.keys(cfg.strategies || {});
+  if (!names.length) throw new Error(`${file} defines no strategies.`);
+  const primary = cfg.primary || names[0];
+  if (!cfg.strategies[primary]) throw new Error(`${file}: primary strategy "${primary}" is not defined.`);
+  for (const name of names) {
+    validateStrategy(name, cfg.strategies[name]);
+    stakingFor(cfg, name);
+  }
+  return { primary, strategies: cfg.strategies, staking: cfg.staking || {} };
+}
+
+// The strategy's staking plan: top-level "staking" with its own overrides
+function stakingFor(config, name) {
+  try { return resolvePlan(config.staking, config.strategies[name].staking); }
+  catch (e) { throw new Error(`Strategy ${name}: ${e.message}`); }
+}
+
+function validateStrategy(name, s) {
+  const isNum = v => v == null || Number.isFinite(v);
+  if (!isNum(s.min_ev)) throw new Error(`Strategy ${name}: min_ev must be a number.`);
+  for (const k of ['max_picks_per_race', 'max_picks_per_day']) {
+    if (s[k] != null && !(Number.isInteger(s[k]) && s[k] > 0)) throw new Error(`Strategy ${name}: ${k} must be a positive integer.`);
+  }
+  if (!isNum(s.odds?.min) || !isNum(s.odds?.max)) throw new Error(`Strategy ${name}: odds band must be numbers.`);
+  if (s.market_method && !METHODS.includes(s.market_method)) throw new Error(`Strategy ${name}: market_method must be one of ${METHODS.join(', ')}.`);
+  if (s.sort && !['probability', 'ev'].includes(s.sort)) throw new Error(`Strategy ${name}: sort must be "probability" or "ev".`);
+  if (s.each_way != null && !(Number.isFinite(s.each_way.min_odds) && s.each_way.min_odds > 1)) {
+    throw new Error(`Strategy ${name}: each_way.min_odds must be decimal odds above 1.`);
+  }
+  if (s.multiples != null) {
+    const bad = (s.multiples.types || []).filter(t => !MULTIPLE_TYPES[t]);
+    if (bad.length) throw new Error(`Strategy ${name}: unknown multiples ${bad.join(', ')}.`);
+    if (s.multiples.unit_stake != null && !(s.multiples.unit_stake > 0)) throw new Error(`Strategy ${name}: multiples.unit_stake must be positive.`);
+  }
+  if (s.calibration != null && typeof s.calibration !== 'string') throw new Error(`Strategy ${name}: calibration must be a mapping file path.`);
+  for (const k of ['race_types', 'courses']) {
+    if (s[k] != null && !Array.isArray(s[k])) throw new Error(`Strategy ${name}: ${k} must be a list or null.`);
+  }
+}
+
+// Fallback for archived picks without a model win_prob: the fair market
+// probability (else the pick's odds-implied one) nudged by the confidence
+// label and form string.
+function adjustedProb(pick, weights = DEFAULT_WEIGHTS, fair = null) {
+  const w = { confidence: { ...DEFAULT_WEIGHTS.confidence, ...weights.confidence }, form: { ...DEFAULT_WEIGHTS.form, ...weights.form } };
+  let p = fair ?? impliedProb(pick.exchange || pick.exc_dec || pick.odds || pick.odds_note);
+  const conf = (pick.confidence || '').toLowerCase();
+  if (conf.includes('high')) p *= w.confidence.high;
+  else if (conf.includes('medium')) p *= w.confidence.medium;
+
+  // form bonus/penalty on the last three runs
+  const last3 = recentRuns(pick.form, 3);
+  if (last3.some(r => r.pos === 1)) p *= w.form.recent_win;
+  else if (last3.length && !last3.some(r => r.pos != null && r.pos <= 3)) p *= w.form.out_of_form;
+  return Math.min(p, 0.99);
+}
+
+// The model's own win probability when it gave a valid one, else the heuristic.
+function winProb(pick, weights, fair) {
+  const p = parseProb(pick.win_prob);
+  if (p != null) return { prob: p, source: 'model' };
+  return { prob: adjustedProb(pick, weights, fair), source: 'heuristic' };
+}
+
+function expectedValue(prob, oddsDec) {
+  if (!oddsDec || !prob) return -1;
+  return (prob * (oddsDec - 1)) - (1 - prob);
+}
+
+// 1€ stake on each pick, one winner: profit = winner odds - stakes
+function comboProfit(picks, stakes) {
+  for (const p of picks) {
+    if (p.oddsDec && p.oddsDec - stakes > 0) return p.oddsDec - stakes;
+  }
+  return -1;
+}
+
+function raceAllowed(race, s) {
+  if (s.race_types && !s.race_types.includes(race.race_type)) return false;
+  if (s.courses && !s.courses.some(c => courseKey(c) === courseKey(race.course))) return false;
+  return true;
+}
+
+function inBand(dec, band = {}) {
+  if (band.min != null && !(dec >= band.min)) return false;
+  if (band.max != null && !(dec <= band.max)) return false;
+  return true;
+}
+
+const round4 = x => +x.toFixed(4);
+
+// the EV the pick is bet at: each-way when it's an each-way bet
+const betEv = p => p.ew_expected_value ?? p.expected_value;
+
+// runners from the racecard, else the picks file's declared_runners; handicap
+// and stated terms only when the race carries them (null handicap: unknown)
+function termsFor(race, card) {
+  const runners = card ? card.runners.filter(r => !r.non_runner).length : race.declared_runners;
+  const handicap = race.handicap ?? (race.title ? /handicap|h'cap/i.test(race.title) : null);
+  return placeTerms({ runners, handicap, ew_terms: race.ew_terms });
+}
+
+/**
+ * Filter an analysed picks file with one strategy. `racecards` is the day's
+ * racecard file, for the fair market probabilities, and `calibration` the
+ * strategy's loaded recalibration mapping (both optional).
+ * → { races: [...refined races], log: ['Ayr 13:28 → 2 picks', …] }
+ */
+function applyStrategy(data, s, { racecards = null, calibration = null } = {}) {
+  const minEv = s.min_ev ?? 0;
+  const method = s.market_method || DEFAULT_METHOD;
+  const cards = new Map((racecards?.races || []).map(r => [raceKey(r), r]));
+  let races = [];
+
+  for (const race of data.races || []) {
+    if (!raceAllowed(race, s)) continue;
+    const course = race.course?.trim() || '';
+    const time = race.time?.trim() || '';
+    const card = cards.get(raceKey({ course, time }));
+    const market = marketModel(card);
+    const terms = termsFor(race, card);
+    const picks = (race.shortlist || []).map(p => {
+      const dec = toDec(p.exchange || p.exc_dec || p.odds || p.odds_note);
+      const m = runnerMarket(market, p.name);
+      const { prob: raw, source } = winProb(p, s.weights, m?.fair[method]);
+      const prob = calibration ? recalibrate(calibration, raw) : raw;
+      const ev = expectedValue(prob, dec);
+      const out = { ...p, oddsDec: dec, probability: prob, raw_prob: raw, prob_source: source, expected_value: ev, _market: m, bet_type: 'win' };
+      if (s.each_way && terms && dec >= s.each_way.min_odds) {
+        // the rest of the field's fair chances, for a Harville place estimate
+        const others = market ? [...market.runners].filter(([, r]) => r !== m).map(([, r]) => r.fair[method]) : null;
+        const pp = parseProb(p.place_prob) ?? placeProb(prob, terms.places, others);
+        Object.assign(out, { bet_type: 'each_way', place_prob: pp, ew_expected_value: eachWayEV(prob, pp, dec, terms) });
+      }
+      return out;
+    });
+
+    let kept = picks.filter(p => betEv(p) > minEv && inBand(p.oddsDec, s.odds));
+    kept.sort(s.sort === 'ev' ? (a, b) => betEv(b) - betEv(a) : (a, b) => b.probability - a.probability);
+    if (s.max_picks_per_race) kept = kept.slice(0, s.max_picks_per_race);
+    if (!kept.length) continue;
+
+    let potential = null;
+    if (s.combo_stakes != null) {
+      potential = comboProfit(kept, s.combo_stakes);
+      if (potential <= 0) continue;
+    }
+
+    races.push({
+      course,
+      time,
+      url: race.url,
+      // race-level racecard fields, when the analysis carried them
+      ...Object.fromEntries(
+        ['declared_runners']
+          .filter(k => race[k] != null).map(k => [k, race[k]])
+      ),
+      // which LLM and prompt version produced the shortlist
+      ...(race.provider ? { provider: race.provider, model: race.model } : {}),
+      ...(race.prompt ? { prompt: race.prompt } : {}),
+      ...(market ? { market: { source: market.source, overround: round4(market.overround), method } } : {}),
+      ...(terms ? { place_terms: terms } : {}),
+      shortlist: kept.map(p => ({
+        name: p.name,
+        odds: p.exchange || p.odds || p.odds_note || `${p.oddsDec?.toFixed(2)} (dec)`,
+        oddsDec: p.oddsDec,
+        probability: +(p.probability * 100).toFixed(1),
+        ...(calibration ? { raw_probability: +(p.raw_prob * 100).toFixed(1) } : {}),
+        prob_source: p.prob_source,
+        ...(parseProb(p.place_prob) != null ? { place_prob: round4(parseProb(p.place_prob)) } : {}),
+        expected_value: +p.expected_value.toFixed(3),
+        bet_type: p.bet_type,
+        ...(p.ew_expected_value != null ? { ew_expected_value: +p.ew_expected_value.toFixed(3) } : {}),
+        ...(p._market ? {
+          fair_prob: round4(p._market.fair[method]),
+          fair_probs: Object.fromEntries(METHODS.map(k => [k, round4(p._market.fair[k])])),
+          edge: round4(p.probability - p._market.fair[method])
+        } : {}),
+        rationale: p.rationale,
+        trainer: p.trainer,
+        jockey: p.jockey,
+        ...(p.form ? { form: p.form, form_stats: formFeatures(p.form) } : {}),
+        confidence: p.confidence,
+        method: p.method || 'llm'
+      })),
+      ...(potential != null ? { combo_profit_check: potential.toFixed(2) } : {})
+    });
+  }
+
+  // day cap: keep the best-EV picks across all races
+  if (s.max_picks_per_day) {
+    const all = races.flatMap(r => r.shortlist.map(p => ({ r, p })))
+      .sort((a, b) => betEv(b.p) - betEv(a.p));
+    const keep = new Set(all.slice(0, s.max_picks_per_day).map(x => x.p));
+    for (const r of races) r.shortlist = r.shortlist.filter(p => keep.has(p));
+    races = races.filter(r => r.shortlist.length);
+  }
+
+  const log = races.map(r =>
+    `${r.course} ${r.time} → ${r.shortlist.length} picks${r.combo_profit_check ? ` (combo +${r.combo_profit_check}€)` : ''}`);
+  return { races, log };
+}
+
+module.exports = { loadStrategies, stakingFor, applyStrategy, adjustedProb, winProb, expectedValue, DEFAULT_FILE };
@@ -0,0 +1,35 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { backtestStrategy } = require('../backtest');
+
+const day = (date, winner) => ({
+  date,
+  data: { date, races: [{ course: 'Ayr', time: '13:00', shortlist: [
+    { name: 'Alpha', odds: '3.0', win_prob: 0.4 },
+    { name: 'Bravo', odds: '6.0', win_prob: 0.2 }
+  ] }] },
+  racecards: null,
+  results: { date, results: [{ course: 'Ayr', time: '13:00', winner: { name: winner }, finishing_order: [
+    { pos: 1, name: winner }, { pos: 2, name: winner === 'Alpha' ? 'Bravo' : 'Alpha' }
+  ] }] }
+});
+
+const strategy = n => ({ min_ev: 0, max_picks_per_race: n, sort: 'probability' });
+const plan = { plan: 'level', bank: 100, unit: 1 };
+
+test('backtestStrategy: picks, hits and P/L per day, and a running bank', () => {
+  const days = [day('2025-10-06', 'Alpha'), day('2025-10-07', 'Bravo')];
+  const one = backtestStrategy(days, strategy(1), plan);
+  assert.deepEqual(one.days.map(d => [d.picks, d.hits, d.pnl, d.bank]), [[1, 1, 2, 102], [1, 0, -1, 101]]);
+  assert.deepEqual(
+    { picks: one.summary.picks, hits: one.summary.hits, hit_rate: one.summary.hit_rate, pnl: one.summary.pnl, roi: one.summary.roi },
+    { picks: 2, hits: 1, hit_rate: 0.5, pnl: 1, roi: 0.5 }
+  );
+
+  const two = backtestStrategy(days, strategy(2), plan);
+  assert.deepEqual(two.days.map(d => [d.picks, d.hits, d.pnl]), [[2, 1, 1], [2, 1, 4]]);
+  assert.equal(two.summary.bank, 105);
+  assert.equal(two.summary.max_drawdown, 0);
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreRunners, baselineShortlist, formScore } = require('../baseline-model');
+
+const race = {
+  course: 'Ayr', time: '13:28',
+  runners: [
+    { name: 'Outsider', jockey: 'J', trainer: 'T', form: '0900', odds: { sbk: '20/1', exchange: '26' } },
+    { name: 'Fav', jockey: 'J', trainer: 'T', form: '2211', odds: { sbk: '6/4', exchange: '2.4' } },
+    { name: 'Second', jockey: 'J', trainer: '', form: '1342', odds: { sbk: '3/1', exc: 4.2 } },
+    { name: 'Scratched', non_runner: true, form: '1111', odds: { sbk: '2/1', exchange: '3' } },
+    { name: 'Unpriced', jockey: 'J', trainer: 'T', form: '1111', odds: {} }
+  ]
+};
+
+test('formScore: newest runs count most, letters and 0 score nothing', () => {
+  assert.equal(formScore('1111'), 1);
+  assert.equal(formScore('0000'), 0);
+  assert.ok(formScore('0001') > formScore('1000'));
+  assert.equal(formScore('P-F0'), 0);
+  assert.equal(formScore(''), 0.3);
+});
+
+test('scoreRunners: deterministic order, NRs left out', () => {
+  const order = scoreRunners(race).map(s => s.runner.name);
+  assert.deepEqual(order, ['Fav', 'Second', 'Unpriced', 'Outsider']);
+  assert.deepEqual(scoreRunners(race), scoreRunners(race));
+  assert.equal(scoreRunners(race)[0].market_rank, 1);
+});
+
+test('baselineShortlist: analyser shortlist shape, labelled baseline, priced runners only', () => {
+  const picks = baselineShortlist(race);
+  assert.deepEqual(picks.map(p => p.name), ['Fav', 'Second', 'Outsider']);
+  for (const key of ['name', 'jockey', 'trainer', 'form', 'odds_note', 'rationale', 'confidence']) {
+    assert.equal(typeof picks[0][key], 'string', key);
+  }
+  assert.ok(picks.every(p => p.method === 'baseline'));
+  assert.equal(picks[0].odds_note, '6/4 SBK, 2.4 exchange');
+  assert.equal(baselineShortlist(race, { max: 1 }).length, 1);
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  predictionRows, calibrationReport, reliability, brierScore, logLoss, fitRecalibration, recalibrate, confidenceLabel
+} = require('../calibration');
+const { applyStrategy } = require('../strategies');
+
+const row = (probability, won, confidence = 'high') => ({ date: '2025-10-06', probability, won, confidence });
+
+test('scores, reliability bins and confidence groups', () => {
+  const rows = [row(0.8, 1), row(0.8, 0), row(0.2, 0, 'medium'), row(0.25, 1, 'medium')];
+  assert.equal(brierScore(rows), +((0.04 + 0.64 + 0.04 + 0.5625) / 4).toFixed(4));
+  assert.equal(logLoss([row(0.5, 1), row(0.5, 0)]), +Math.log(2).toFixed(4));
+  assert.deepEqual(reliability(rows, { bins: 5 }).map(b => [b.lo, b.n, b.wins, b.strike_rate]), [[0.2, 2, 1, 0.5], [0.8, 2, 1, 0.5]]);
+  const r = calibrationReport(rows, { bins: 5 });
+  assert.deepEqual(r.by_confidence.map(g => [g.label, g.n, g.strike_rate]), [['high', 2, 0.5], ['medium', 2, 0.5]]);
+  assert.equal(r.overall.base_rate_brier, 0.25);
+  assert.equal(confidenceLabel('High – proven form'), 'high');
+  assert.equal(confidenceLabel('Medium - High'), 'medium-high');
+});
+
+test('fitRecalibration: isotonic points, interpolated by recalibrate', () => {
+  // 10-20% bin wins more often than the 30-40% one: pooled into one level
+  const rows = [
+    ...Array.from({ length: 4 }, (_, i) => row(0.15, i < 2 ? 1 : 0)),
+    ...Array.from({ length: 4 }, () => row(0.35, 0)),
+    ...Array.from({ length: 4 }, (_, i) => row(0.75, i < 3 ? 1 : 0))
+  ];
+  const m = fitRecalibration(rows, { bins: 10 });
+  assert.deepEqual(m.points, [[0.15, 0.25], [0.35, 0.25], [0.75, 0.75]]);
+  assert.equal(recalibrate(m, 0.05), 0.25);
+  assert.equal(recalibrate(m, 0.55), 0.5);
+  assert.equal(recalibrate(m, 0.95), 0.75);
+  const after = calibrationReport(rows, { bins: 10, mapping: m }).recalibrated.overall;
+  assert.ok(after.brier < brierScore(rows));
+});
+
+test('predictionRows and a strategy applying a mapping', () => {
+  const data = { date: '2025-10-06', races: [{ course: 'Ayr', time: '13:00', shortlist: [
+    { name: 'Alpha', odds: '3.0', win_prob: 0.4, confidence: 'High' },
+    { name: 'Bravo', odds: '6.0', win_prob: 0.3 },
+    { name: 'Charlie', odds: '9.0', win_prob: 0.2 }
+  ] }] };
+  const results = { results: [{ course: 'Ayr', time: '13:00', winner: { name: 'Alpha' }, non_runners: ['Charlie'], finishing_order: [
+    { pos: 1, name: 'Alpha' }, { pos: 2, name: 'Bravo' }
+  ] }] };
+  const { races } = applyStrategy(data, { min_ev: -1 }, {});
+  assert.deepEqual(predictionRows('2025-10-06', races, results).map(r => [r.name, r.probability, r.won, r.confidence]),
+    [['Alpha', 0.4, 1, 'high'], ['Bravo', 0.3, 0, 'unknown']]);
+
+  const mapping = { points: [[0.2, 0.1], [0.4, 0.2]] };
+  const calibrated = applyStrategy(data, { min_ev: -1 }, { calibration: mapping }).races[0].shortlist;
+  assert.deepEqual(calibrated.map(p => [p.name, p.probability, p.raw_probability]),
+    [['Alpha', 20, 40], ['Bravo', 15, 30], ['Charlie', 10, 20]]);
+});
@@ -0,0 +1,28 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { argValue, hasFlag, positionalArgs, picksPathFor, resultsPathFor } = require('../cli');
+
+test('argValue / hasFlag: spaced and = values, bare flags', () => {
+  const args = ['picks.json', '--from', '2025-09-01', '--to=2025-09-30', '--json', '--strategy', '--quiet'];
+  assert.equal(argValue('from', args), '2025-09-01');
+  assert.equal(argValue('to', args), '2025-09-30');
+  assert.equal(argValue('json', args), null);
+  assert.equal(argValue('strategy', args), null);   // next is another flag
+  assert.equal(argValue('missing', args), null);
+  assert.equal(hasFlag('json', args), true);
+  assert.equal(hasFlag('to', args), true);
+  assert.equal(hasFlag('fresh', args), false);
+});
+
+test('positionalArgs: skips the values of the named flags only', () => {
+  assert.deepEqual(positionalArgs(['--provider', 'mock', 'in.json', '--model=m', '--fresh'], ['provider', 'model']), ['in.json']);
+  assert.deepEqual(positionalArgs(['trainer', '--db', 'x.db', 'Tim Easterby', '--json'], ['db']), ['trainer', 'Tim Easterby']);
+});
+
+test('picksPathFor / resultsPathFor: docs/<kind>/YYYY/MM/DATE.json', () => {
+  assert.equal(picksPathFor('2025-09-19'), path.join('docs', 'picks', '2025', '09', '2025-09-19.json'));
+  assert.equal(resultsPathFor('2025-09-19'), path.join('docs', 'results', '2025', '09', '2025-09-19.json'));
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { placeTerms, harvillePlace, placeProb, eachWayEV, betReturn } = require('../eachway');
+const { settleDay, resolvePlan } = require('../staking');
+
+test('placeTerms: standard UK/IRE rules, racecard terms first', () => {
+  assert.equal(placeTerms({ runners: 4 }), null);
+  assert.deepEqual(placeTerms({ runners: 6 }), { places: 2, fraction: 0.25, source: 'rules' });
+  assert.deepEqual(placeTerms({ runners: 11 }), { places: 3, fraction: 0.2, source: 'rules' });
+  assert.deepEqual(placeTerms({ runners: 12, handicap: false }), { places: 3, fraction: 0.2, source: 'rules' });
+  // 12+ runners and no handicap flag: the terms could be either, so unknown
+  assert.equal(placeTerms({ runners: 12 }), null);
+  assert.equal(placeTerms({ runners: 16, handicap: null }), null);
+  assert.deepEqual(placeTerms({ runners: 12, handicap: true }), { places: 3, fraction: 0.25, source: 'rules' });
+  assert.deepEqual(placeTerms({ runners: 16, handicap: true }), { places: 4, fraction: 0.25, source: 'rules' });
+  assert.deepEqual(placeTerms({ runners: 9, ew_terms: { places: 4, fraction: 0.2 } }), { places: 4, fraction: 0.2, source: 'racecard' });
+});
+
+test('harvillePlace: place chances across the field add up to the places paid', () => {
+  const probs = [0.4, 0.25, 0.15, 0.1, 0.06, 0.04];
+  const total = probs.reduce((a, _, i) => a + harvillePlace(probs, i, 2), 0);
+  assert.ok(Math.abs(total - 2) < 1e-9);
+  assert.equal(harvillePlace(probs, 0, 1), 0.4);
+  // with a field, the pick's win chance is kept and the others rescaled
+  assert.ok(Math.abs(placeProb(0.4, 1, [0.5, 0.5]) - 0.4) < 1e-9);
+  assert.ok(placeProb(0.1, 3) > 0.1);
+});
+
+test('eachWayEV and betReturn: half win, half place at the fraction', () => {
+  const terms = { places: 3, fraction: 0.2 };
+  // 11.0 → place part pays 3.0; win 10%, place 40%
+  const ev = eachWayEV(0.1, 0.4, 11, terms);
+  assert.ok(Math.abs(ev - ((0.1 * 10 - 0.9) + (0.4 * 2 - 0.6)) / 2) < 1e-12);
+  assert.equal(betReturn({ stake: 2, dec: 11, bet_type: 'each_way', terms, position: 1 }), 11 + 3);
+  assert.equal(betReturn({ stake: 2, dec: 11, bet_type: 'each_way', terms, position: 3 }), 3);
+  assert.equal(betReturn({ stake: 2, dec: 11, bet_type: 'each_way', terms, position: 4 }), 0);
+  assert.equal(betReturn({ stake: 2, dec: 11, position: 2 }), 0);
+});
+
+test('settleDay: each-way picks settle on the placed horses', () => {
+  const picks = { date: '2025-10-01', races: [{
+    course: 'Ayr', time: '13:28', place_terms: { places: 3, fraction: 0.25 },
+    shortlist: [{ name: 'Placer', odds_note: '9.0', stake: 2, bet_type: 'each_way' }, { name: 'Win Only', odds_note: '5.0', stake: 1, bet_type: 'win' }]
+  }] };
+  const results = { results: [{ course: 'Ayr', time: '13:28', winner: { name: 'Someone' }, placed: [{ pos: 1, name: 'Someone' }, { pos: 2, name: 'Win Only' }, { pos: 3, name: 'Placer' }] }] };
+  // Placer: place half returns 1 + 1·8·0.25 = 3; Win Only loses
+  assert.deepEqual(settleDay(picks, results, resolvePlan()), { date: '2025-10-01', bets: 2, staked: 3, returned: 3, pnl: 0, unsettled: 0 });
+});
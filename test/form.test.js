@@ -0,0 +1,34 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseForm, formFeatures, recentRuns } = require('../form');
+
+test('parseForm: positions, letter codes and season breaks', () => {
+  const { runs, breaks } = parseForm('0/21F-1P3');
+  assert.deepEqual(runs.map(r => r.code), ['0', '2', '1', 'F', '1', 'P', '3']);
+  assert.equal(runs[0].pos, 10);
+  assert.equal(runs[3].event, 'fell');
+  assert.equal(runs[5].pos, null);
+  assert.equal(breaks, 3);
+  assert.deepEqual(runs.map(r => r.season), [3, 1, 1, 1, 0, 0, 0]);
+  assert.deepEqual(parseForm('').runs, []);
+});
+
+test('formFeatures: last-3 average, wins, places and non-completions', () => {
+  assert.deepEqual(formFeatures('3-1P24', { daysSinceRun: 21 }), {
+    runs: 5, last: '4', last3_avg: 3, wins: 1, places: 3, non_completions: 1, falls: 0,
+    runs_this_season: 4, days_since_run: 21
+  });
+  // "10" is a win then a down-the-field run, not both a bonus and a penalty
+  const f = formFeatures('10');
+  assert.equal(f.wins, 1);
+  assert.equal(f.places, 1);
+  assert.equal(f.last3_avg, 5.5);
+  assert.equal(formFeatures('FUP').last3_avg, null);
+  assert.equal(formFeatures('').days_since_run, null);
+});
+
+test('recentRuns: newest last, breaks skipped', () => {
+  assert.deepEqual(recentRuns('5-12/3', 3).map(r => r.code), ['1', '2', '3']);
+});
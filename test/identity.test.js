@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { horseKey, personKey, courseKey, raceKey, horseKeyFromUrl, createResolver } = require('../docs/identity');
+const { addAlias, loadAliases } = require('../identity');
+
+test('horseKey: country suffixes, case, apostrophes and accents', () => {
+  for (const name of ['Magic Box (IRE)', 'Magic Box (Ire)', 'Magic Box IRE', 'MAGIC BOX', ' magic  box ']) {
+    assert.equal(horseKey(name), 'magic box');
+  }
+  assert.equal(horseKey("Fred's Girl"), horseKey('Fred’s Girl'));
+  assert.equal(horseKey('Zéphyr'), 'zephyr');
+  assert.equal(horseKey('Sea The Stars'), 'sea the stars');
+  assert.equal(horseKeyFromUrl('https://betting.betfair.com/horse-racing/horse/magic-box-ire/'), 'magic box');
+  assert.equal(personKey('P. J. McDonald (3)'), personKey('PJ McDonald'));
+});
+
+test('courseKey and raceKey: case and spacing only', () => {
+  assert.equal(courseKey(' Catterick  Bridge'), 'catterick bridge');
+  assert.equal(courseKey(null), '');
+  assert.equal(raceKey({ course: 'AYR', time: ' 13:00' }), raceKey({ course: 'Ayr', time: '13:00' }));
+  assert.equal(raceKey({ course: 'Ayr', time: '13:00' }), 'ayr||13:00');
+});
+
+test('createResolver: aliases fix a match, fuzzy fallback is reported', () => {
+  const seen = [];
+  const r = createResolver({ horse: { 'Magic Boxx': 'Magic Box' } }, { onFuzzy: m => seen.push(m) });
+  assert.ok(r.same('horse', 'Magic Boxx', 'Magic Box (IRE)'));
+  assert.equal(r.match('horse', 'Magic Boxx', ['Radiance', 'Magic Box']), 'Magic Box');
+  assert.equal(seen.length, 0);
+
+  const field = [{ name: 'Copper Kettle', pos: 1 }, { name: 'Radiance', pos: 2 }];
+  assert.equal(r.match('horse', 'Coper Kettle', field, 'Ayr 13:28').pos, 1);
+  assert.deepEqual(seen.map(m => [m.name, m.match, m.context]), [['Coper Kettle', 'Copper Kettle', 'Ayr 13:28']]);
+  assert.equal(r.match('horse', 'Someone Else', field), null);
+});
+
+test('createResolver: two runners that both clear the fuzzy threshold need an exact key', () => {
+  const seen = [];
+  const r = createResolver({}, { onFuzzy: m => seen.push(m) });
+  assert.equal(r.match('horse', 'Magic Fox', ['Magic Box', 'Magic Foxx']), null);
+  assert.equal(r.match('horse', 'Magic Box', ['Magic Box (IRE)', 'Magic Fox']), 'Magic Box (IRE)');
+  assert.equal(seen.length, 0);
+});
+
+test('addAlias: persists to the alias table', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'alias-')), 'aliases.json');
+  addAlias('horse', 'Magic Boxx', 'Magic Box', file);
+  assert.deepEqual(loadAliases(file), { horse: { 'Magic Boxx': 'Magic Box' } });
+  assert.throws(() => addAlias('owner', 'a', 'b', file), /kind must be one of/);
+});
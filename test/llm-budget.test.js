@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  resolveBudget, createBudget, priceFor, costOf, raceValue, mergeUsage, monthToDate
+} = require('../llm-budget');
+
+test('priceFor / costOf: price table, overrides, free local providers', () => {
+  const sonar = priceFor({ provider: 'perplexity', model: 'sonar-pro' });
+  assert.equal(costOf({ prompt_tokens: 1e6, completion_tokens: 0 }, sonar), 3.006);
+  assert.equal(costOf({ prompt_tokens: 1000, completion_tokens: 1000, cost: { total_cost: 0.02 } }, sonar), 0.02);
+  assert.equal(priceFor({ provider: 'openai', model: 'my-model' }, { 'my-model': { input: 1, output: 2 } }).output, 2);
+  assert.equal(costOf({ prompt_tokens: 5000 }, priceFor({ provider: 'ollama', model: 'llama3.1' })), 0);
+});
+
+test('resolveBudget: flags over config file, bad values rejected', () => {
+  assert.deepEqual(resolveBudget({ args: ['--run-cost', '2'], file: { budget: { run_cost: 5, month_cost: 40 } } }),
+    { run_cost: 2, month_cost: 40 });
+  assert.throws(() => resolveBudget({ args: ['--month-tokens=lots'] }), /month_tokens/);
+});
+
+test('createBudget: reservations count against run and month limits', () => {
+  const price = { input: 0, output: 0, request: 0 };
+  const est = { prompt_tokens: 800, completion_tokens: 200, total_tokens: 1000 };
+  const b = createBudget({ limits: { run_tokens: 2500, month_tokens: 11000 }, price, monthSpent: { tokens: 7800, cost: 0 } });
+
+  assert.equal(b.fits([est, est]), true);
+  assert.equal(createBudget({ limits: { month_tokens: 8500 }, price, monthSpent: { tokens: 7800, cost: 0 } }).fits([est]), false);
+  assert.equal(b.fits([est, est, est]), false);          // run cap
+  assert.equal(b.reserve(est), true);
+  assert.equal(b.reserve(est), true);
+  assert.equal(b.reserve(est), false);
+  b.settle(est, { prompt_tokens: 300, completion_tokens: 100, total_tokens: 400 });
+  assert.equal(b.spent.tokens, 400);
+  assert.equal(b.reserve(est), true);                    // the refund made room
+});
+
+test('raceValue: class, prize and field size rank races', () => {
+  const field = n => Array.from({ length: n }, (_, i) => ({ name: `H${i}` }));
+  const group1 = { race_class: 'Group 1', prize_value: 500000, runners: field(12) };
+  const class2 = { race_class: 'Class 2', prize_value: 20000, runners: field(10) };
+  const class6 = { race_class: 'Class 6', prize_value: 3000, runners: field(6) };
+  const unknown = { runners: field(4) };
+  const order = [unknown, class6, group1, class2].sort((a, b) => raceValue(b) - raceValue(a));
+  assert.deepEqual(order, [group1, class2, class6, unknown]);
+});
+
+test('mergeUsage: reruns of the same day add up', () => {
+  const run = (calls, total, cost) => ({ date: '2025-09-19', calls, tokens: { prompt: total, completion: 0, total }, cost });
+  const first = mergeUsage(null, run(10, 5000, 0.1));
+  assert.equal(first.runs, 1);
+  const second = mergeUsage(first, run(2, 1000, 0.02));
+  assert.equal(second.runs, 2);
+  assert.equal(second.calls, 12);
+  assert.equal(second.tokens.total, 6000);
+  assert.equal(second.cost, 0.12);
+  assert.deepEqual(second.last_run, { calls: 2, tokens: 1000, cost: 0.02 });
+  assert.equal(mergeUsage({ ...first, date: '2025-09-18' }, run(1, 1, 0)).runs, 1);
+});
+
+test('monthToDate: archived and A/B usage for the month, today included', async t => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-budget-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const write = (file, tokens, cost) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), JSON.stringify({ tokens: { total: tokens }, cost }));
+  };
+  write('picks/2025/09/2025-09-18.usage.json', 1000, 0.1);
+  write('picks/2025/09/2025-09-19.usage.json', 500, 0.05);     // earlier run today
+  write('ab/2025-09-17/usage.json', 2000, 0.2);
+  write('ab/2025-09-19/usage.json', 300, 0.03);               // A/B run earlier today
+  write('ab/2025-08-31/usage.json', 9000, 0.9);               // last month
+  const total = await monthToDate('2025-09-19', path.join(root, 'picks'), path.join(root, 'ab'));
+  assert.equal(total.tokens, 3800);
+  assert.equal(+total.cost.toFixed(4), 0.38);
+});
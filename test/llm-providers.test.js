@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProvider, resolveLLMConfig, classifyError } = require('../llm-providers');
+const { cacheKey } = require('../llm-cache');
+
+test('resolveLLMConfig: CLI beats env beats config file beats defaults', () => {
+  const env = { PERPLEXITY_API_KEY: 'k', LLM_MODEL: 'sonar' };
+  assert.deepEqual(resolveLLMConfig({ env }), {
+    provider: 'perplexity', model: 'sonar', temperature: 0.1, max_tokens: 800,
+    base_url: 'https://api.perplexity.ai', api_key: 'k'
+  });
+
+  const file = { provider: 'ollama', model: 'qwen2.5', temperature: 0.3 };
+  const cfg = resolveLLMConfig({ args: ['--model=mistral', '--max-tokens', '400'], env: {}, file });
+  assert.equal(cfg.provider, 'ollama');
+  assert.equal(cfg.model, 'mistral');
+  assert.equal(cfg.temperature, 0.3);
+  assert.equal(cfg.max_tokens, 400);
+  assert.equal(cfg.base_url, 'http://localhost:11434/v1');
+
+  assert.throws(() => resolveLLMConfig({ env: {} }), /PERPLEXITY_API_KEY/);
+  assert.throws(() => resolveLLMConfig({ args: ['--provider', 'nope'] }), /Unknown LLM provider/);
+  assert.throws(() => resolveLLMConfig({ args: ['--provider', 'mock', '--max-tokens', 'x'] }), /max tokens/);
+});
+
+test('mock provider: deterministic shortest-priced shortlist, no NRs', async () => {
+  const llm = createProvider(resolveLLMConfig({ args: ['--provider', 'mock'] }));
+  const race = { race: { course: 'Ayr', time: '13:28', url: 'u' }, runners: [
+    { name: 'A', odds: { exchange: '6.0' } },
+    { name: 'B', odds: { sbk: '9/4' } },
+    { name: 'C', non_runner: true, odds: { exchange: '1.5' } },
+    { name: 'D', odds: {} },
+    { name: 'E', odds: { exchange: '4.2' } }
+  ] };
+  const messages = [{ role: 'system', content: 'x' }, { role: 'user', content: `Rules…\nRace JSON:\n${JSON.stringify(race)}` }];
+
+  const one = await llm.complete(messages);
+  const two = await llm.complete(messages);
+  assert.equal(one.content, two.content);
+  const out = JSON.parse(one.content);
+  assert.deepEqual(out.shortlist.map(p => p.name), ['B', 'E', 'A']);
+  assert.equal(out.shortlist[0].confidence, 'High');
+  assert.ok(one.usage.total_tokens > 0);
+  assert.equal(llm.name, 'mock');
+});
+
+test('classifyError: quota and auth are fatal, rate limits and 5xx retry', () => {
+  const err = (status, body) => Object.assign(new Error(`status ${status}`), { status, body });
+  // what Perplexity actually sends when the credit runs out
+  const quota = classifyError(err(401, { error: { message: 'You exceeded your current quota', type: 'insufficient_quota', code: 401 } }));
+  assert.deepEqual(quota, { kind: 'quota', status: 401, fatal: true, retry: false });
+  assert.equal(classifyError(err(401, { error: { message: 'Invalid API key' } })).kind, 'auth');
+  assert.equal(classifyError(err(429, null)).kind, 'rate_limit');
+  assert.equal(classifyError(err(429, null)).retry, true);
+  assert.equal(classifyError(err(503, null)).kind, 'transient');
+  assert.equal(classifyError(err(0, null)).kind, 'transient');
+  assert.deepEqual(classifyError(err(400, { error: { message: 'bad field' } })), { kind: 'bad_request', status: 400, fatal: false, retry: false });
+});
+
+test('cacheKey: changes with the race content and the model', () => {
+  const cfg = { provider: 'mock', model: 'm', temperature: 0.1 };
+  const msgs = [{ role: 'user', content: 'Race JSON: {"a":1}' }];
+  assert.equal(cacheKey(cfg, msgs), cacheKey({ ...cfg }, [...msgs]));
+  assert.notEqual(cacheKey(cfg, msgs), cacheKey(cfg, [{ role: 'user', content: 'Race JSON: {"a":2}' }]));
+  assert.notEqual(cacheKey(cfg, msgs), cacheKey({ ...cfg, model: 'n' }, msgs));
+});
+
+test('mock provider: win_prob is the runner\'s share of the book', async () => {
+  const llm = createProvider(resolveLLMConfig({ args: ['--provider', 'mock'] }));
+  const race = { race: {}, runners: [{ name: 'A', odds: { exchange: '2' } }, { name: 'B', odds: { exchange: '2' } }] };
+  const { content } = await llm.complete([{ role: 'user', content: `Race JSON:\n${JSON.stringify(race)}` }]);
+  assert.deepEqual(JSON.parse(content).shortlist.map(p => p.win_prob), [0.5, 0.5]);
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { marketModel, runnerMarket, fairProbs, METHODS } = require('../market');
+
+const sum = xs => xs.reduce((a, b) => a + b, 0);
+
+test('fairProbs: every method removes the overround', () => {
+  const decs = [2.2, 3.5, 5, 9, 17, 26];   // book ≈ 1.15
+  const fair = fairProbs(decs);
+  for (const m of METHODS) {
+    assert.ok(Math.abs(sum(fair[m]) - 1) < 1e-6, m);
+    fair[m].forEach((p, i) => assert.ok(p < 1 / decs[i], `${m} ${decs[i]}`));
+  }
+  // Shin and power take relatively more off the longshot than proportional does
+  assert.ok(fair.shin[5] < fair.proportional[5]);
+  assert.ok(fair.power[5] < fair.proportional[5]);
+  assert.ok(fair.shin[0] > fair.proportional[0]);
+});
+
+test('marketModel: exchange book, NRs and unpriced runners left out', () => {
+  const race = {
+    runners: [
+      { name: 'Fav', odds: { sbk: '6/4', exchange: '2.5' } },
+      { name: 'Second', odds: { sbk: '3/1', exc: 4.2 } },
+      { name: 'Third', odds: { sbk: '5/1', exchange: '6' } },
+      { name: 'Scratched', non_runner: true, odds: { sbk: '2/1', exchange: '3' } },
+      { name: 'Unpriced', odds: {} }
+    ]
+  };
+  const model = marketModel(race);
+  assert.equal(model.source, 'exchange');
+  assert.equal(model.runners.size, 3);
+  assert.ok(Math.abs(model.overround - (1 / 2.5 + 1 / 4.2 + 1 / 6)) < 1e-9);
+  assert.equal(runnerMarket(model, 'scratched'), null);
+  assert.ok(runnerMarket(model, ' fav ').fair.shin > 0.4);
+  assert.equal(marketModel({ runners: [race.runners[0]] }), null);
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildMultiples, settleMultiple, combinations } = require('../multiples');
+
+const race = (course, name, oddsDec, probability, extra = []) => ({
+  course, time: '14:00', shortlist: [{ name, oddsDec, probability }, ...extra]
+});
+
+const races = [
+  race('Ayr', 'A', 2, 60, [{ name: 'A2', oddsDec: 5, probability: 25 }]),
+  race('Bath', 'B', 3, 40),
+  race('Chester', 'C', 4, 30),
+  race('Doncaster', 'D', 5, 25),
+  race('Epsom', 'E', 10, 10)
+];
+
+test('combinations: all k-subsets in order', () => {
+  assert.deepEqual(combinations(4, 2), [[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]]);
+  assert.equal(combinations(4, 3).length, 4);
+});
+
+test('buildMultiples: strongest pick per race, line counts, odds and EV', () => {
+  const out = buildMultiples(races, { unit_stake: 0.5, min_leg_prob: 0.2 });
+  assert.deepEqual(out.map(m => [m.type, m.lines]), [['double', 1], ['treble', 1], ['yankee', 11], ['lucky15', 15]]);
+  const double = out[0];
+  assert.deepEqual(double.legs.map(l => l.name), ['A', 'B']);
+  assert.equal(double.odds, 6);
+  assert.equal(double.probability, 0.24);
+  assert.equal(double.expected_value, +(0.24 * 6 - 1).toFixed(3));
+  assert.equal(out[3].stake, 7.5);
+  assert.ok(!out[2].legs.some(l => l.name === 'E'));                        // below min_leg_prob
+  assert.deepEqual(buildMultiples(races.slice(0, 2)).map(m => m.type), ['double']);
+  assert.throws(() => buildMultiples(races, { types: ['heinz'] }), /Unknown multiple/);
+});
+
+test('settleMultiple: losing, void and Rule 4 legs', () => {
+  const [double, treble, yankee] = buildMultiples(races, { types: ['double', 'treble', 'yankee'] });
+  const results = { results: [
+    { course: 'Ayr', time: '14:00', winner: { name: 'A' }, rule4_deduction: 0.1 },
+    { course: 'Bath', time: '14:00', winner: { name: 'Other' }, void_picks: ['B'] },
+    { course: 'Chester', time: '14:00', winner: { name: 'C' } },
+    { course: 'Doncaster', time: '14:00', winner: { name: 'Other' } }
+  ] };
+  // A wins at 2 less 10p Rule 4 (1.9), B void → the double pays 1.9
+  assert.equal(settleMultiple(double, results).returned, 1.9);
+  assert.equal(settleMultiple(treble, results).returned, 7.6);                 // 1.9 × 1 × 4
+  const y = settleMultiple(yankee, results);
+  // lines without D: AB 1.9, AC 7.6, BC 4, ABC 7.6
+  assert.equal(y.returned, 21.1);
+  assert.equal(y.pnl, 10.1);
+  assert.deepEqual(y.legs.map(l => l.outcome), ['won', 'void', 'won', 'lost']);
+  assert.equal(settleMultiple(double, { results: results.results.slice(1) }).status, 'pending');
+});
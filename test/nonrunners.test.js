@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rule4Deduction, combinedRule4 } = require('../rule4');
+const { reconcileRace, findWithdrawn } = require('../nonrunners');
+const { parseHtml, extractRunners } = require('../racecard-parser');
+
+test('rule4Deduction: Tattersalls bands from fractional or decimal prices', () => {
+  assert.equal(rule4Deduction('1/9'), 0.90);
+  assert.equal(rule4Deduction('evens'), 0.50);
+  assert.equal(rule4Deduction('EVS'), 0.50);
+  assert.equal(rule4Deduction('Evs'), 0.50);
+  assert.equal(rule4Deduction('2.0'), 0.50);
+  assert.equal(rule4Deduction('9/4'), 0.35);
+  assert.equal(rule4Deduction('5/2'), 0.30);
+  assert.equal(rule4Deduction('14/1'), 0.10);
+  assert.equal(rule4Deduction('16/1'), 0);
+  assert.equal(rule4Deduction(''), 0);
+  // several withdrawals add up, capped at 90p
+  assert.equal(combinedRule4(['9/4', '4/1']), 0.60);
+  assert.equal(combinedRule4(['1/9', '2/1']), 0.90);
+});
+
+const card = () => ({
+  runners: [
+    { name: 'Radiance', odds: { sbk: '9/4', exchange: '3.3' } },
+    { name: 'Magic Box (Ire)', odds: { sbk: '5/1', exchange: '6.0' },
+      odds_history: [{ label: 'declared', exchange: '6.0' }, { label: 'morning', exchange: '4.5' }] },
+    { name: 'Early Scratch', non_runner: true, odds: { sbk: '', exchange: '' } },
+    { name: 'Copper Kettle', odds: { sbk: '12/1', exchange: '15' } }
+  ]
+});
+
+test('findWithdrawn: live NRs and missing runners, not ones out before the scrape', () => {
+  const live = [
+    { name: 'Radiance' },
+    { name: 'Magic Box (IRE)', non_runner: true },
+    { name: 'Copper Kettle' }
+  ];
+  assert.deepEqual([...findWithdrawn(card(), live)], ['magic box']);   // identity.js key, country suffix dropped
+  // a page that only rendered one runner isn't trusted for missing horses
+  assert.deepEqual([...findWithdrawn(card(), [{ name: 'Radiance' }])], []);
+});
+
+test('reconcileRace: voids withdrawn picks and records Rule 4 on the race', () => {
+  const cardRace = card();
+  const pickRace = { course: 'Ayr', time: '13:28', shortlist: [{ name: 'Radiance' }, { name: 'Magic Box (Ire)' }] };
+  const live = [{ name: 'Radiance' }, { name: 'Magic Box (Ire)', non_runner: true }, { name: 'Copper Kettle' }];
+
+  const out = reconcileRace(pickRace, cardRace, live, { at: '2025-09-19T12:00:00Z' });
+  assert.deepEqual(out, [{ name: 'Magic Box (Ire)', price: '4.5', deduction: 0.25, picked: true }]);
+  assert.equal(pickRace.rule4_deduction, 0.25);
+  assert.equal(pickRace.shortlist[0].void, undefined);
+  assert.equal(pickRace.shortlist[1].void, true);
+  assert.equal(pickRace.shortlist[1].non_runner, true);
+  assert.equal(cardRace.runners[1].withdrawn_at, '2025-09-19T12:00:00Z');
+  assert.equal(cardRace.runners[2].withdrawn_at, undefined);
+});
+
+test('reconcileRace: an NR shown on the re-read racecard voids the pick with Rule 4', () => {
+  const runnerCard = (name, price) => `<div class="featured_runner"><h4 class="name"><a href="#">${name}</a></h4>
+    <ul class="team"><li><abbr title="Jocky">J:</abbr> J Doe</li></ul><div class="market_odds">${price}</div></div>`;
+  const html = `<main>${runnerCard('Radiance', '<div class="market_odds__sbk"><a class="price_button">SBK 2/1</a></div>')}
+    ${runnerCard('Magic Box (Ire) <span class="nr">NR</span>', 'Non-Runner')}
+    ${runnerCard('Copper Kettle', '<div class="market_odds__sbk"><a class="price_button">SBK 12/1</a></div>')}</main>`;
+  const live = parseHtml(html, 'https://betting.betfair.com/', extractRunners);
+  assert.deepEqual(live.map(r => [r.name, r.non_runner]), [['Radiance', false], ['Magic Box (Ire)', true], ['Copper Kettle', false]]);
+
+  const cardRace = card();
+  const pickRace = { course: 'Ayr', time: '13:28', shortlist: [{ name: 'Magic Box (Ire)' }] };
+  reconcileRace(pickRace, cardRace, live, { at: '2025-09-19T12:00:00Z' });
+  assert.equal(pickRace.shortlist[0].void, true);
+  assert.equal(pickRace.rule4_deduction, 0.25);
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { marketMove, recordOdds, annotatePicks } = require('../odds-movement');
+
+test('marketMove: steamers, drifters and quiet markets', () => {
+  const h = (a, b) => [{ exchange: a, sbk: '' }, { exchange: b, sbk: '' }];
+  assert.equal(marketMove(h('5.0', '4.0')).flag, 'steamer');
+  assert.equal(marketMove(h('4.0', '5.0')).flag, 'drifter');
+  assert.equal(marketMove(h('4.0', '4.4')).flag, null);
+  assert.equal(marketMove(h('5.0', '4.0')).prob_change, 0.25);
+  // no exchange price yet → bookmaker price
+  const sbk = marketMove([{ exchange: '', sbk: '9/4' }, { exchange: '2.5', sbk: '6/4' }]);
+  assert.equal(sbk.basis, 'sbk');
+  assert.equal(sbk.flag, 'steamer');
+  assert.equal(marketMove([{ exchange: '3' }]), null);
+});
+
+test('recordOdds: seeds the declared price then appends readings', () => {
+  const race = { runners: [
+    { name: 'Radiance', odds: { sbk: '9/4', exchange: '3.3' } },
+    { name: 'Magic Box (Ire)', odds: { sbk: '9/4', exchange: '3.6' } }
+  ] };
+  recordOdds(race, [
+    { name: 'Radiance', odds: { sbk: '6/4', exchange: '2.5' } },
+    { name: 'Magic Box (Ire)', non_runner: true, odds: { sbk: '', exchange: '' } }
+  ], { at: '2025-09-19T08:00:00Z', label: 'morning', declaredAt: '2025-09-19T00:10:00Z' });
+
+  const [rad, box] = race.runners;
+  assert.deepEqual(rad.odds_history.map(h => h.label), ['declared', 'morning']);
+  assert.equal(rad.market_move.flag, 'steamer');
+  assert.equal(box.non_runner, true);
+  assert.equal(box.market_move, null);
+});
+
+test('annotatePicks: measures from the price when the picks were made', () => {
+  const cards = { races: [{ course: 'Ayr', time: '13:28', url: 'u1', runners: [{
+    name: 'Radiance',
+    odds_history: [
+      { at: '2025-09-19T00:10:00Z', label: 'declared', exchange: '3.3' },
+      { at: '2025-09-19T01:30:00Z', label: 'early', exchange: '4.2' },
+      { at: '2025-09-19T08:00:00Z', label: 'morning', exchange: '3.3' }
+    ]
+  }] }] };
+  const picks = { generated_at: '2025-09-19T02:00:00Z', races: [{ course: 'Ayr', time: '13:28', url: 'u1', shortlist: [{ name: 'radiance ' }] }] };
+  const moved = annotatePicks(picks, cards);
+  const pick = picks.races[0].shortlist[0];
+  assert.equal(pick.price_history.length, 2);
+  assert.equal(pick.market_move.from, 4.2);
+  assert.equal(pick.market_move.flag, 'steamer');
+  assert.equal(moved, 1);
+});
@@ -0,0 +1,28 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toDec, impliedProb, parseProb } = require('../odds');
+
+test('toDec / impliedProb: fractional, decimal and odds notes', () => {
+  assert.equal(toDec('5/2'), 3.5);
+  assert.equal(toDec('3.3'), 3.3);
+  assert.equal(toDec('11/4 SBK, 4.0 exchange'), 3.75);
+  assert.equal(toDec('Evs'), 2);
+  assert.equal(toDec('EVENS SBK, 2.1 exchange'), 2);
+  assert.equal(toDec(''), null);
+  assert.equal(impliedProb('3/1'), 0.25);
+  assert.equal(impliedProb('junk'), 0);
+});
+
+test('parseProb: only 0..1 numbers count as a model probability', () => {
+  assert.equal(parseProb(0.28), 0.28);
+  assert.equal(parseProb('0.4'), 0.4);
+  assert.equal(parseProb(0), 0);
+  assert.equal(parseProb(1), 1);
+  assert.equal(parseProb(35), null);        // a percentage, not a probability
+  assert.equal(parseProb(-0.1), null);
+  assert.equal(parseProb('high'), null);
+  assert.equal(parseProb(null), null);
+  assert.equal(parseProb(true), null);
+});
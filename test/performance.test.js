@@ -0,0 +1,42 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { performanceReport, ledgerBets, toMarkdown, oddsBand } = require('../performance');
+
+const bet = (date, time, status, odds, extra = {}) => ({
+  date, time, course: 'Ayr', odds, status, stake: 1,
+  returned: status === 'won' ? odds : 0, pnl: status === 'won' ? odds - 1 : -1, ...extra
+});
+
+test('performanceReport: strike rate, ROI, losing run and drawdown per group', () => {
+  const bets = [
+    bet('2025-10-06', '13:00', 'won', 3, { jockey: 'P. J. McDonald', confidence: 'High' }),
+    bet('2025-10-06', '14:00', 'lost', 5, { jockey: 'PJ McDonald', confidence: 'medium' }),
+    bet('2025-10-07', '13:00', 'lost', 5, { confidence: 'medium' }),
+    bet('2025-10-07', '14:00', 'lost', 9, { confidence: 'medium' }),
+    bet('2025-10-08', '13:00', 'won', 2.5, { confidence: 'high' })
+  ];
+  const r = performanceReport(bets);
+  assert.deepEqual(r.overall, {
+    bets: 5, wins: 2, strike_rate: 0.4, staked: 5, returned: 5.5, pnl: 0.5, roi: 0.1,
+    longest_losing_run: 3, max_drawdown: 3
+  });
+  assert.deepEqual(r.dimensions.confidence.map(g => [g.group, g.bets, g.wins]), [['medium', 3, 0], ['high', 2, 2]]);
+  assert.deepEqual(r.dimensions.jockey.map(g => [g.label, g.bets]), [['unknown', 3], ['P. J. McDonald', 2]]);
+  assert.deepEqual(r.dimensions.weekday.map(g => g.group), ['Monday', 'Tuesday', 'Wednesday']);
+  assert.equal(oddsBand(9), '8.0-15.99');
+  assert.match(toMarkdown(r, { minBets: 2 }), /\| medium \| 3 \| 0 \| 0\.0% \|/);
+});
+
+test('ledgerBets: settled bets on one basis, joined to their picks', () => {
+  const ledger = { date: '2025-10-06', bets: [
+    { course: 'Ayr', time: '13:00', name: 'A', status: 'won', stake: 1, prices: { sp: 4 }, returned: { sp: 4 }, pnl: { sp: 3 } },
+    { course: 'Ayr', time: '13:00', name: 'B', status: 'void', stake: 1, prices: { sp: null } },
+    { course: 'Ayr', time: '13:00', name: 'C', status: 'lost', stake: 1, prices: { sp: null }, returned: { sp: null }, pnl: { sp: null } }
+  ] };
+  const picks = { races: [{ course: 'Ayr', time: '13:00', race_type: 'flat', shortlist: [{ name: 'A', trainer: 'T Smith', confidence: 'high' }] }] };
+  const rows = ledgerBets(ledger, picks, 'sp');
+  assert.equal(rows.length, 1);
+  assert.deepEqual([rows[0].race_type, rows[0].trainer, rows[0].odds, rows[0].pnl], ['flat', 'T Smith', 4, 3]);
+});
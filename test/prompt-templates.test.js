@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPrompt, listPrompts, renderMessages, DEFAULT_PROMPT } = require('../prompt-templates');
+const { comparePrompts } = require('../prompt-compare');
+
+test('prompt templates: every file loads and renders with schema + race', () => {
+  const ids = listPrompts();
+  assert.ok(ids.includes(DEFAULT_PROMPT));
+  for (const id of ids) {
+    const [system, user] = renderMessages(loadPrompt(id), { schema: '{"S":1}', race: '{"R":1}' });
+    assert.equal(system.role, 'system');
+    assert.ok(!/\{\{/.test(system.content + user.content), `${id} left a placeholder`);
+    // the mock provider and the cache both rely on the race JSON coming last
+    assert.ok(user.content.endsWith('Race JSON:\n{"R":1}'), id);
+  }
+  assert.throws(() => loadPrompt('handicapper'), /Bad prompt id/);
+  assert.throws(() => loadPrompt('handicapper.v99'), /Unknown prompt/);
+  assert.throws(() => renderMessages(loadPrompt(DEFAULT_PROMPT), { schema: '' }), /\{\{race\}\}/);
+});
+
+test('comparePrompts: hit rate and P/L on the races both variants analysed', () => {
+  const race = (time, picks, status = 'ok') => ({ course: 'Ayr', time, _status: status, shortlist: picks });
+  const a = { races: [race('13:00', [{ name: 'Win', odds_note: '3/1 SBK' }, { name: 'Lose', odds_note: '2.0' }]), race('14:00', [{ name: 'X', odds_note: '5.0' }])] };
+  const b = { races: [race('13:00', [{ name: 'Lose', odds_note: '2.0' }]), race('14:00', [], 'error_quota')] };
+  const results = { '2025-09-19': { results: [
+    { course: 'Ayr', time: '13:00', winner: { name: 'Win' } },
+    { course: 'Ayr', time: '14:00', winner: { name: 'X' } }
+  ] } };
+
+  const [va, vb] = comparePrompts([
+    { prompt: 'p.v1', date: '2025-09-19', data: a },
+    { prompt: 'p.v2', date: '2025-09-19', data: b }
+  ], results);
+
+  // 14:00 is out: p.v2 didn't analyse it
+  assert.deepEqual([va.settled, va.hits, va.bets, va.wins, va.pnl, va.hit_rate], [1, 1, 2, 1, 2, 1]);
+  assert.deepEqual([vb.settled, vb.hits, vb.bets, vb.pnl, vb.roi], [1, 0, 1, -1, -1]);
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseDateFlexible, addDays, dateRange, betfairDaySlug, getTargetDatesFromArgs, todayISO
+} = require('../race-dates');
+
+test('parseDateFlexible: ISO and DD/MM/YYYY, rejects impossible dates', () => {
+  assert.equal(parseDateFlexible('2025-10-18'), '2025-10-18');
+  assert.equal(parseDateFlexible('18/10/2025'), '2025-10-18');
+  assert.equal(parseDateFlexible('2025-02-31'), null);
+  assert.equal(parseDateFlexible('tomorrow'), null);
+});
+
+test('addDays: crosses month, year and clock-change boundaries', () => {
+  assert.equal(addDays('2025-10-31', 1), '2025-11-01');
+  assert.equal(addDays('2026-01-01', -1), '2025-12-31');
+  assert.equal(addDays('2025-10-26', -1), '2025-10-25');
+  assert.equal(addDays('2026-03-29', 1), '2026-03-30');
+});
+
+test('dateRange: inclusive, ordered, bounded', () => {
+  assert.deepEqual(dateRange('2025-10-30', '2025-11-02'), ['2025-10-30', '2025-10-31', '2025-11-01', '2025-11-02']);
+  assert.throws(() => dateRange('2025-11-02', '2025-10-30'), /ends before it starts/);
+  assert.throws(() => dateRange('2025-01-01', '2025-03-01'), /longer than/);
+});
+
+test('betfairDaySlug: matches the day segment of racecard URLs', () => {
+  assert.equal(betfairDaySlug('2025-09-19'), '19-september-2025');
+  assert.equal(betfairDaySlug('2025-12-01'), '01-december-2025');
+});
+
+test('getTargetDatesFromArgs: flags', () => {
+  const today = todayISO();
+  assert.deepEqual(getTargetDatesFromArgs([]), [today]);
+  assert.deepEqual(getTargetDatesFromArgs([], { defaultOffset: -1 }), [addDays(today, -1)]);
+  assert.deepEqual(getTargetDatesFromArgs(['--tomorrow']), [addDays(today, 1)]);
+  assert.deepEqual(getTargetDatesFromArgs(['--date', '2025-10-18']), ['2025-10-18']);
+  assert.deepEqual(getTargetDatesFromArgs(['--date=18/10/2025']), ['2025-10-18']);
+  assert.deepEqual(getTargetDatesFromArgs(['--date', '2025-10-18..2025-10-19']), ['2025-10-18', '2025-10-19']);
+  assert.deepEqual(getTargetDatesFromArgs(['--from', '2025-10-18', '--to', '2025-10-20']), ['2025-10-18', '2025-10-19', '2025-10-20']);
+  assert.deepEqual(getTargetDatesFromArgs(['--from', '2025-10-18']), ['2025-10-18']);
+  assert.throws(() => getTargetDatesFromArgs(['--date', 'soon']), /Invalid --date/);
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openCheckpoint } = require('../racecard-checkpoint');
+const { buildScrapeReport, classifyRace, reportPathFor } = require('../racecard-report');
+
+const race = (n, extra) => ({ course: 'Ayr', time: `13:${n}0`, url: `https://x/ayr/2/${n}/`, runners: [], ...extra });
+
+test('checkpoint: records races and resumes only the complete ones', async t => {
+  const cwd = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'racecards-'));
+  process.chdir(dir);
+  t.after(() => { process.chdir(cwd); fs.rmSync(dir, { recursive: true, force: true }); });
+
+  const first = await openCheckpoint('2025-10-18');
+  await first.record(race(1, { runners: [{ name: 'A' }] }));
+  await first.record(race(2, { _error: 'page.waitForSelector: Timeout 15000ms exceeded.' }));
+  await first.record(race(3, { _note: 'skipped_finished' }));
+  assert.ok(fs.existsSync(first.file));
+
+  const resumed = await openCheckpoint('2025-10-18');
+  assert.equal(resumed.get('https://x/ayr/2/1/').runners[0].name, 'A');
+  assert.equal(resumed.get('https://x/ayr/2/2/'), null);
+  assert.equal(resumed.get('https://x/ayr/2/3/')._note, 'skipped_finished');
+
+  const fresh = await openCheckpoint('2025-10-18', { fresh: true });
+  assert.equal(fresh.get('https://x/ayr/2/1/'), null);
+
+  await resumed.clear();
+  assert.ok(!fs.existsSync(resumed.file));
+});
+
+test('checkpoint: seeds from an earlier day file of the same date', async t => {
+  const cwd = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'racecards-'));
+  process.chdir(dir);
+  t.after(() => { process.chdir(cwd); fs.rmSync(dir, { recursive: true, force: true }); });
+
+  fs.writeFileSync('day.json', JSON.stringify({ date: '2025-10-18', races: [race(1, { runners: [{ name: 'A' }] })] }));
+  const cp = await openCheckpoint('2025-10-18', { seedFile: 'day.json' });
+  assert.ok(cp.get('https://x/ayr/2/1/'));
+
+  const otherDay = await openCheckpoint('2025-10-19', { seedFile: 'day.json' });
+  assert.equal(otherDay.get('https://x/ayr/2/1/'), null);
+});
+
+test('scrape report: counts, coverage and failures', () => {
+  const payload = {
+    date: '2025-10-18',
+    races: [
+      race(1, { runners: [{ name: 'A' }] }),
+      race(2, { runners: [{ name: 'B' }] }),
+      race(3, { runners: [{ name: 'C' }] }),
+      race(4, { runners: [{ name: 'D' }] }),
+      race(5, { _error: 'Timeout 15000ms exceeded.' }),
+      race(6, { _note: 'skipped_finished' })
+    ]
+  };
+  const r = buildScrapeReport(payload, { reused: 4, fetched: 2 });
+  assert.equal(r.races_found, 6);
+  assert.equal(r.with_runners, 4);
+  assert.equal(r.skipped_finished, 1);
+  assert.equal(r.timeouts, 1);
+  assert.equal(r.empty_cards, 0);
+  assert.equal(r.coverage, 0.8);
+  assert.equal(r.status, 'partial');
+  assert.equal(r.ok_to_analyse, true);
+  assert.deepEqual(r.failures.map(f => f.reason), ['timeout']);
+
+  assert.equal(classifyRace(race(7)), 'empty');
+  assert.equal(classifyRace(race(8, { _error: 'net::ERR_ABORTED' })), 'error');
+  assert.equal(buildScrapeReport({ date: 'x', races: [race(9)] }).status, 'failed');
+  assert.equal(reportPathFor('betfair-racecards-2025-10-18.json'), 'betfair-racecards-2025-10-18.report.json');
+});
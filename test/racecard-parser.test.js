@@ -0,0 +1,75 @@
+// Extractor tests for the racecard scraper. The pages under
+// test/fixtures/synthetic-snapshots/ are hand-written in the snapshot layout,
+// not Betfair captures: they check the parsing logic, not that Betfair's
+// markup still matches. To test against the real site, capture a day with
+// `node scrape-betfair-racecards.js --save-snapshots` and add it beside them.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { extractRaceLinks, extractRaceInfo, extractRunners, parseHtml } = require('../racecard-parser');
+const { replaySnapshots, slugFor } = require('../racecard-snapshots');
+
+const SNAP_DIR = path.join(__dirname, 'fixtures', 'synthetic-snapshots', '2025-09-19');
+const read = f => fs.readFileSync(path.join(SNAP_DIR, f), 'utf8');
+
+test('extractRaceLinks: reads course headings and their race navigation', () => {
+  const links = parseHtml(read('index.html'), 'https://betting.betfair.com/horse-racing/racecards/', extractRaceLinks);
+  assert.deepEqual(links, [
+    { course: 'Ayr', time: '13:28', url: 'https://betting.betfair.com/horse-racing/racecards/19-september-2025/ayr/2/1/' },
+    { course: 'Ayr', time: '14:03', url: 'https://betting.betfair.com/horse-racing/racecards/19-september-2025/ayr/2/2/' },
+    { course: 'Newbury', time: '13:50', url: 'https://betting.betfair.com/horse-racing/racecards/19-september-2025/newbury/14/1/' }
+  ]);
+});
+
+test('extractRaceInfo: declared runners from the cards', () => {
+  const url = 'https://betting.betfair.com/horse-racing/racecards/19-september-2025/ayr/2/1/';
+  const info = parseHtml(read('19-september-2025_ayr_2_1.html'), url, extractRaceInfo);
+  assert.deepEqual(info, { declared_runners: 3 });
+});
+
+test('extractRunners: name, connections, form and both prices', () => {
+  const url = 'https://betting.betfair.com/horse-racing/racecards/19-september-2025/ayr/2/1/';
+  const runners = parseHtml(read('19-september-2025_ayr_2_1.html'), url, extractRunners);
+  assert.equal(runners.length, 3);
+  assert.deepEqual(runners[0], {
+    name: 'Radiance',
+    jockey: 'Billy Loughnane',
+    trainer: 'George Boughey',
+    form: '13',
+    odds: { sbk: '9/4', exchange: '3.3' },
+    non_runner: false
+  });
+  assert.equal(runners[1].name, 'Magic Box (Ire)');
+  // no exchange market yet, blank form
+  assert.deepEqual(runners[2].odds, { sbk: '14/1', exchange: '' });
+  assert.equal(runners[2].form, '');
+  assert.equal(runners[2].name, 'Magistery (Ire)');
+});
+
+test('extractRunners: page without runner cards gives an empty list', () => {
+  const runners = parseHtml(read('19-september-2025_ayr_2_2.html'), 'https://betting.betfair.com/', extractRunners);
+  assert.deepEqual(runners, []);
+});
+
+test('replaySnapshots: rebuilds the racecards payload offline', async () => {
+  const payload = await replaySnapshots(SNAP_DIR);
+  assert.equal(payload.date, '2025-09-19');
+  assert.equal(payload.races.length, 3);
+
+  const [ayr1, ayr2, newbury] = payload.races;
+  assert.equal(ayr1.runners.length, 3);
+  assert.deepEqual(ayr2.runners, []);
+  assert.equal(newbury._note, 'skipped_finished');
+});
+
+test('slugFor: racecard URL → snapshot file name', () => {
+  assert.equal(slugFor('index'), 'index');
+  assert.equal(
+    slugFor('https://betting.betfair.com/horse-racing/racecards/19-september-2025/ayr/2/1/'),
+    '19-september-2025_ayr_2_1'
+  );
+});
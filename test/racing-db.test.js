@@ -0,0 +1,56 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDb, archiveFiles, ingestFile, strikeRate, horseRuns, courseLeaders, pickStrikeRates } = require('../racing-db');
+
+const write = (root, file, obj) => {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), JSON.stringify(obj));
+};
+
+test('ingest: racecards, picks and results into one schema, then incremental', t => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'racing-db-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const db = openDb(':memory:');
+  const ingestAll = () => archiveFiles(root).map(e => ingestFile(db, e));
+
+  write(root, 'betfair-racecards-2025-10-06.json', { date: '2025-10-06', races: [{ course: 'Ayr', time: '13:00', race_type: 'flat', runners: [
+    { name: 'Alpha (IRE)', trainer: 'T Smith', jockey: 'P. J. McDonald', odds: { sbk: '2/1', exchange: '3.1' } },
+    { name: 'Bravo', trainer: 'T Smith', jockey: 'A Jones' },
+    { name: 'Charlie', trainer: 'R Brown', non_runner: true }
+  ] }] });
+  write(root, 'betfair-racecards-picks-2025-10-06.json', { date: '2025-10-06', races: [{ course: 'Ayr', time: '13:00', shortlist: [
+    { name: 'Alpha', trainer: 'T Smith', confidence: 'High', odds_note: '2/1 SBK, 3.1 Exchange' }
+  ] }] });
+  write(root, 'docs/results/2025/10/2025-10-06.json', { date: '2025-10-06', results: [{ course: 'Ayr', time: '13:00', winner: { name: 'Bravo' },
+    finishing_order: [{ pos: 1, name: 'Bravo', sp: '5/2' }, { pos: 2, name: 'Alpha (IRE)' }], non_runners: ['Charlie'] }] });
+  assert.deepEqual(ingestAll(), ['ingested', 'ingested', 'ingested']);
+
+  const counts = ['meetings', 'races', 'runners', 'picks', 'results'].map(tb => db.prepare(`SELECT COUNT(*) AS n FROM ${tb}`).get().n);
+  assert.deepEqual(counts, [1, 1, 3, 1, 3]);
+  assert.deepEqual(strikeRate(db, 'trainer', 't smith', { course: 'AYR' }), {
+    runs: 2, wins: 1, strike_rate: 0.5, uncarded_runs: 0, by_course: [{ course: 'Ayr', runs: 2, wins: 1, strike_rate: 0.5 }]
+  });
+  assert.equal(strikeRate(db, 'trainer', 'R Brown').runs, 0);
+  assert.deepEqual(horseRuns(db, 'Alpha').map(r => [r.position, r.won, r.jockey]), [[2, 0, 'P. J. McDonald']]);
+  assert.deepEqual(pickStrikeRates(db), [{ source: 'shortlist', confidence: 'high', picks: 1, wins: 0, strike_rate: 0 }]);
+
+  // a new day is loaded, the old ones are left alone
+  write(root, 'docs/results/2025/10/2025-10-07.json', { date: '2025-10-07', results: [{ course: 'Ayr', time: '14:00', winner: { name: 'Delta' } }] });
+  assert.deepEqual(ingestAll(), ['unchanged', 'unchanged', 'unchanged', 'ingested']);
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM races').get().n, 2);
+
+  // a race with picks and a result but no racecard only knows the picked trainer's runs
+  write(root, 'betfair-racecards-picks-2025-10-07.json', { date: '2025-10-07', races: [{ course: 'Ayr', time: '14:00', shortlist: [
+    { name: 'Delta', trainer: 'T Smith', confidence: 'High' }
+  ] }] });
+  ingestAll();
+  assert.deepEqual(strikeRate(db, 'trainer', 'T Smith'), {
+    runs: 2, wins: 1, strike_rate: 0.5, uncarded_runs: 1, by_course: [{ course: 'Ayr', runs: 2, wins: 1, strike_rate: 0.5 }]
+  });
+  assert.deepEqual(courseLeaders(db, 'Ayr', { minRuns: 1 }).map(r => [r.name, r.runs]), [['T Smith', 2]]);
+});
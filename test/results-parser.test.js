@@ -0,0 +1,23 @@
+// The pages here are hand-written: no results page has been captured yet.
+// They follow the one layout fact the archive shows, that the winner is the
+// first horse-profile link on the page.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseHtml } = require('../racecard-parser');
+const { extractResult } = require('../results-parser');
+
+const URL = 'https://betting.betfair.com/horse-racing/results/19-september-2025/ayr/2/1/';
+const link = name => `<a href="/horse-racing/horse/${name.toLowerCase().replace(/ /g, '-')}/">${name}</a>`;
+
+test('extractResult: the first horse link is the winner', () => {
+  const res = parseHtml(`<html><body><h1>Ayr 13:28</h1>${link('Alpha&nbsp;Star')} ${link('Bravo Boy')}</body></html>`, URL, extractResult);
+  assert.deepEqual(res, { winner: { name: 'Alpha Star' }, confidence: 'high', issues: [] });
+});
+
+test('extractResult: a page without horse links is low confidence, not guessed', () => {
+  const res = parseHtml('<html><body><p>Result to follow</p></body></html>', URL, extractResult);
+  assert.deepEqual(res, { winner: null, confidence: 'low', issues: ['no winner found'] });
+});
@@ -0,0 +1,23 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// no browsers here: launching must fail in playwright, not on a missing binding
+const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'no-browsers-'));
+process.env.PLAYWRIGHT_BROWSERS_PATH = empty;
+const { scrapeLive } = require('../scrape-betfair-racecards');
+
+test.after(() => fs.rmSync(empty, { recursive: true, force: true }));
+
+test('scrapeLive: reaches the browser launch', async () => {
+  const checkpoint = { get: () => null, record: async () => {} };
+  await assert.rejects(scrapeLive('2025-09-19', null, checkpoint), e => {
+    assert.notEqual(e.name, 'ReferenceError');
+    assert.match(e.message, /Executable doesn't exist|browserType\.launch/);
+    return true;
+  });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { settleDay, exchangePrice } = require('../settlement');
+const { betReturn } = require('../eachway');
+const { buildBankroll } = require('../staking');
+const { ledgerSummary } = require('../settlement');
+
+const result = (rows, extra = {}) => ({
+  course: 'Ayr', time: '13:28',
+  winner: { name: rows[0][1] },
+  finishing_order: rows.map(([pos, name, sp]) => ({ pos, name, sp })),
+  non_finishers: [], non_runners: [], confidence: 'high',
+  ...extra
+});
+
+test('exchangePrice: pick field, odds note, then the first tracked price', () => {
+  assert.equal(exchangePrice({ exc_dec: 4.2, odds_note: '7/2 SBK, 5.0 Exchange' }), 4.2);
+  assert.equal(exchangePrice({ odds_note: '7/2 SBK, 5.0 Exchange (market leader)' }), 5);
+  assert.equal(exchangePrice({ odds_note: '7/2', market_move: { basis: 'exchange', from: 4.4, to: 3.9 } }), 4.4);
+  assert.equal(exchangePrice({ odds_note: '7/2' }), null);
+});
+
+test('betReturn: dead heats divide the stake over the tied places still paid', () => {
+  assert.equal(betReturn({ stake: 2, dec: 5, position: 1, tied: 2 }), 5);            // half at 5.0
+  const terms = { places: 3, fraction: 0.25 };
+  // two share 3rd of 3: the place half is halved again; sharing 2nd pays in full
+  assert.equal(betReturn({ stake: 2, dec: 9, bet_type: 'each_way', terms, position: 3, tied: 2 }), 1.5);
+  assert.equal(betReturn({ stake: 2, dec: 9, bet_type: 'each_way', terms, position: 2, tied: 2 }), 3);
+});
+
+test('settleDay: a ledger under advised, exchange and SP prices', () => {
+  const picks = { date: '2025-10-01', races: [
+    { course: 'Ayr', time: '13:28', rule4_deduction: 0.1, shortlist: [
+      { name: 'Alpha', odds: '7/2 SBK, 5.0 Exchange', stake: 2 },
+      { name: 'Bravo', odds_note: '3.0', stake: 1 },
+      { name: 'Nr Horse', odds_note: '6.0', stake: 1 }
+    ] },
+    { course: 'Bath', time: '15:00', shortlist: [{ name: 'Later', odds_note: '2.0' }] }
+  ] };
+  const results = { results: [
+    result([[1, 'Alpha', '3/1'], [1, 'Charlie', '4/1'], [3, 'Bravo', '2/1']], { non_runners: ['Nr Horse'] }),
+    { course: 'Bath', time: '15:00', winner: { name: 'Someone' }, finishing_order: [{ pos: 1, name: 'Someone' }], confidence: 'low' }
+  ] };
+  const ledger = settleDay(picks, results, { plan: 'level', unit: 1 });
+
+  const alpha = ledger.bets.find(b => b.name === 'Alpha');
+  assert.equal(alpha.status, 'won');
+  assert.equal(alpha.dead_heat, 2);
+  assert.deepEqual(alpha.prices, { advised: 4.5, exchange: 5, sp: 4 });
+  // half the stake wins; Rule 4 off advised and exchange winnings, not SP
+  assert.deepEqual(alpha.returned, { advised: 1 + 3.5 * 0.9, exchange: 1 + 4 * 0.9, sp: 4 });
+
+  assert.equal(ledger.bets.find(b => b.name === 'Nr Horse').status, 'void');
+  assert.equal(ledger.bets.find(b => b.name === 'Later').status, 'pending');   // low-confidence result
+  assert.deepEqual(ledger.totals.advised, { bets: 2, staked: 3, returned: 4.15, pnl: 1.15, roi: 0.3833 });
+  assert.equal(ledger.totals.exchange.bets, 1);                                 // Bravo has no exchange price
+  assert.equal(ledger.totals.sp.bets, 2);
+  assert.equal(ledger.void, 1);
+  assert.equal(ledger.pending, 1);
+  assert.equal(ledger.unsettled, 1);
+});
+
+test('settleDay: settled multiples count in the advised totals and the bankroll', () => {
+  const legs = [{ course: 'Ayr', time: '13:28', name: 'Alpha', oddsDec: 3 }, { course: 'Bath', time: '15:00', name: 'Bravo', oddsDec: 4 }];
+  const double = { type: 'double', unit_stake: 1, lines: 1, stake: 1, legs, bets: [{ legs: [0, 1] }] };
+  const picks = { date: '2025-10-01', multiples: [double], races: [
+    { course: 'Ayr', time: '13:28', shortlist: [{ name: 'Alpha', odds_note: '3.0', stake: 1 }] },
+    { course: 'Bath', time: '15:00', shortlist: [{ name: 'Bravo', odds_note: '4.0', stake: 1 }] }
+  ] };
+  const results = { results: [
+    { course: 'Ayr', time: '13:28', winner: { name: 'Alpha' }, confidence: 'high' },
+    { course: 'Bath', time: '15:00', winner: { name: 'Bravo' }, confidence: 'high' }
+  ] };
+  const ledger = settleDay(picks, results, { plan: 'level', unit: 1 });
+  // singles return 3 + 4, the double 12
+  assert.deepEqual(ledger.totals.advised, { bets: 3, staked: 3, returned: 19, pnl: 16, roi: 5.3333 });
+  assert.equal(ledger.totals.exchange.bets, 0);
+  assert.deepEqual(ledger.multiples.map(m => [m.type, m.status, m.pnl]), [['double', 'settled', 11]]);
+  assert.equal(buildBankroll([ledgerSummary(ledger)], 100).bank, 116);
+
+  // a leg still to run keeps the multiple out of the totals
+  const pending = settleDay(picks, { results: results.results.slice(0, 1) }, { plan: 'level', unit: 1 });
+  assert.equal(pending.multiples[0].status, 'pending');
+  assert.equal(pending.totals.advised.staked, 1);
+});
+
+test('settleDay: winner-only results settle win bets but leave unplaced each-way bets pending', () => {
+  const terms = { places: 3, fraction: 0.2 };
+  const picks = { date: '2025-10-01', races: [{ course: 'Ayr', time: '13:28', place_terms: terms, shortlist: [
+    { name: 'Alpha', odds_note: '10.0', bet_type: 'each_way' },
+    { name: 'Bravo', odds_note: '12.0', bet_type: 'each_way' },
+    { name: 'Charlie', odds_note: '3.0' }
+  ] }] };
+  const results = { results: [{ course: 'Ayr', time: '13:28', winner: { name: 'Alpha' }, confidence: 'high' }] };
+  const ledger = settleDay(picks, results, { plan: 'level', unit: 1 });
+  assert.deepEqual(ledger.bets.map(b => [b.name, b.status]), [['Alpha', 'won'], ['Bravo', 'pending'], ['Charlie', 'lost']]);
+  assert.equal(ledger.pending, 1);
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolvePlan, kellyFraction, stakeFor, stakeDay, settleDay, buildBankroll, bankOn } = require('../staking');
+
+test('stakeFor: level, percent of bank and fractional Kelly', () => {
+  const pick = { prob: 0.3, dec: 5 };
+  assert.equal(stakeFor(pick, resolvePlan({ plan: 'level', unit: 2 }), 500), 2);
+  assert.equal(stakeFor(pick, resolvePlan({ plan: 'percent', percent: 0.02 }), 500), 10);
+  assert.ok(Math.abs(kellyFraction(0.3, 5) - 0.125) < 1e-12);
+  assert.equal(stakeFor(pick, resolvePlan({ plan: 'kelly', kelly_fraction: 0.5 }), 200), 12.5);
+  assert.equal(stakeFor(pick, resolvePlan({ plan: 'kelly', kelly_fraction: 0.5, max_stake_pct: 0.05 }), 200), 10);
+  assert.equal(stakeFor({ prob: 0.1, dec: 5 }, resolvePlan({ plan: 'kelly' }), 200), 0);   // no edge, no bet
+  assert.equal(stakeFor(pick, resolvePlan({ plan: 'level' }), 0), 0);                     // bust
+  assert.throws(() => resolvePlan({ plan: 'martingale' }), /plan must be one of/);
+});
+
+test('stakeDay: daily exposure cap scales every stake down', () => {
+  const races = [{ shortlist: [{ probability: 30, oddsDec: 5 }, { probability: 50, oddsDec: 3 }] }];
+  const out = stakeDay(races, resolvePlan({ plan: 'percent', percent: 0.1, max_daily_exposure: 0.1 }), 100);
+  assert.deepEqual(races[0].shortlist.map(p => p.stake), [5, 5]);
+  assert.deepEqual(out, { plan: 'percent', bank: 100, exposure: 10, scaled: true });
+});
+
+test('settleDay and buildBankroll: stakes, voids, Rule 4 and drawdown', () => {
+  const plan = resolvePlan({ unit: 1 });
+  const picks = {
+    date: '2025-10-01',
+    races: [
+      { course: 'Ayr', time: '13:28', shortlist: [
+        { name: 'Winner', odds_note: '4.0', stake: 2 },
+        { name: 'Loser', odds_note: '3.0', stake: 3 },
+        { name: 'Scratched', odds_note: '2.0', stake: 5, void: true }
+      ] },
+      { course: 'Ascot', time: '14:05', shortlist: [{ name: 'Old', odds_note: '2.0' }] },
+      { course: 'Bath', time: '15:00', shortlist: [{ name: 'Later', odds_note: '2.0' }] }
+    ]
+  };
+  const results = { results: [
+    { course: 'Ayr', time: '13:28', winner: { name: 'Winner' }, rule4_deduction: 0.5 },
+    { course: 'Ascot', time: '14:05', winner: { name: 'Someone Else' } }
+  ] };
+  const day = settleDay(picks, results, plan);
+  // Winner: 2 back + 2·3·0.5 = 5 returned; Loser -3; Old at unit 1 lost
+  assert.deepEqual(day, { date: '2025-10-01', bets: 3, staked: 6, returned: 5, pnl: -1, unsettled: 1 });
+
+  const roll = buildBankroll([{ date: 'a', pnl: 20 }, { date: 'b', pnl: -30 }, { date: 'c', pnl: 5 }], 100);
+  assert.equal(roll.bank, 95);
+  assert.equal(roll.peak, 120);
+  assert.equal(roll.max_drawdown, 0.25);
+  assert.equal(roll.growth, -0.05);
+  assert.equal(bankOn(roll, 'c', 100), 90);
+  assert.equal(bankOn(roll, 'a', 100), 100);
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadStrategies, applyStrategy } = require('../strategies');
+
+const pick = (name, odds, win_prob, extra = {}) => ({ name, odds_note: odds, win_prob, confidence: 'medium', ...extra });
+
+const data = {
+  date: '2025-10-18',
+  races: [
+    {
+      course: 'Ascot', time: '14:05', race_type: 'flat',
+      shortlist: [pick('A', '5.0', 0.3), pick('B', '2.0', 0.6), pick('C', '10.0', 0.17), pick('D', '3.0', 0.2)]
+    },
+    {
+      course: 'Cheltenham', time: '15:00', race_type: 'hurdle',
+      shortlist: [pick('E', '8.0', 0.2), pick('F', '4.0', 0.3)]
+    }
+  ]
+};
+
+const names = races => races.map(r => r.shortlist.map(p => p.name));
+
+test('applyStrategy: EV floor, per-race cap and sort order', () => {
+  const byProb = applyStrategy(data, { min_ev: 0, max_picks_per_race: 2, sort: 'probability' });
+  assert.deepEqual(names(byProb.races), [['B', 'A'], ['F', 'E']]);   // D has EV < 0
+  const byEv = applyStrategy(data, { min_ev: 0, max_picks_per_race: 2, sort: 'ev' });
+  assert.deepEqual(names(byEv.races), [['C', 'A'], ['E', 'F']]);
+});
+
+test('applyStrategy: odds band, race types, courses and the day cap', () => {
+  assert.deepEqual(names(applyStrategy(data, { odds: { min: 4, max: 8 } }).races), [['A'], ['F', 'E']]);
+  assert.deepEqual(names(applyStrategy(data, { race_types: ['hurdle'] }).races), [['F', 'E']]);
+  assert.deepEqual(applyStrategy(data, { courses: ['ascot'] }).races.map(r => r.course), ['Ascot']);
+  // best 2 by EV across the day: C (0.7) and E (0.6)
+  const capped = applyStrategy(data, { max_picks_per_day: 2 });
+  assert.deepEqual(names(capped.races), [['C'], ['E']]);
+});
+
+test('applyStrategy: combo_stakes drops races no single winner pays for', () => {
+  const short = { course: 'Ayr', time: '13:28', shortlist: [pick('G', '2.5', 0.6)] };
+  const out = applyStrategy({ races: [short, data.races[0]] }, { max_picks_per_race: 3, combo_stakes: 3 });
+  assert.deepEqual(out.races.map(r => r.course), ['Ascot']);
+  assert.equal(out.races[0].combo_profit_check, '2.00');
+});
+
+test('applyStrategy: weights drive the heuristic when there is no win_prob', () => {
+  const race = { course: 'Ayr', time: '13:28', shortlist: [{ name: 'H', odds_note: '4.0', confidence: 'high', form: '11' }] };
+  const plain = applyStrategy({ races: [race] }, { min_ev: -1 }).races[0].shortlist[0];
+  const boosted = applyStrategy({ races: [race] }, { min_ev: -1, weights: { confidence: { high: 1.5 } } }).races[0].shortlist[0];
+  assert.equal(plain.prob_source, 'heuristic');
+  assert.ok(boosted.probability > plain.probability);
+});
+
+test('loadStrategies: repo config is valid and bad configs are rejected', () => {
+  const cfg = loadStrategies();
+  assert.ok(cfg.strategies[cfg.primary]);
+  const file = path.join(os.tmpdir(), `strategies-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({ primary: 'x', strategies: { y: {} } }));
+  assert.throws(() => loadStrategies(file), /primary strategy "x"/);
+  fs.writeFileSync(file, JSON.stringify({ strategies: { y: { max_picks_per_race: 0 } } }));
+  assert.throws(() => loadStrategies(file), /positive integer/);
+  fs.unlinkSync(file);
+});
+
+test('applyStrategy: fair market probability and edge from the racecard book', () => {
+  const racecards = {
+    races: [{
+      course: 'Ascot', time: '14:05',
+      runners: [['A', '5.0'], ['B', '2.0'], ['C', '10.0'], ['D', '3.0'], ['E', '12.0']].map(([name, exchange]) => ({ name, odds: { exchange } }))
+    }]
+  };
+  const [race] = applyStrategy({ races: [data.races[0]] }, { market_method: 'proportional' }, { racecards }).races;
+  assert.equal(race.market.source, 'exchange');
+  const a = race.shortlist.find(p => p.name === 'A');
+  const book = 1 / 5 + 1 / 2 + 1 / 10 + 1 / 3 + 1 / 12;
+  assert.equal(a.fair_prob, +((1 / 5) / book).toFixed(4));
+  assert.equal(a.edge, +(0.3 - (1 / 5) / book).toFixed(4));
+  assert.deepEqual(Object.keys(a.fair_probs), ['proportional', 'shin', 'power']);
+});
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Intraday odds tracker (Playwright)
+ *
+ * Re-reads SBK/exchange prices for the races in an existing
+ * betfair-racecards-YYYY-MM-DD.json, appends them to each runner's
+ * odds_history and flags steamers/drifters (see odds-movement.js).
+ * The same history is copied onto that day's archived picks and
+ * docs/latest.json so the dashboard can show each pick's price move.
+ *
+ * Usage:
+ *   node track-odds.js --label morning          every race still to run
+ *   node track-odds.js --label midday
+ *   node track-odds.js --before-off 30          races off in the next 30 min
+ *                                               not yet read with label pre_off
+ *   --date YYYY-MM-DD | --today | --yesterday   racing day (default: today)
+ */
+
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const { openBrowser, readRunners, mapPool } = require('./racecard-live');
+const { recordOdds, annotatePicks } = require('./odds-movement');
+const { getTargetDateFromArgs, offTime } = require('./race-dates');
+const { argValue, readJSON, picksPathFor } = require('./cli');
+
+const CONCURRENCY = 2;
+
+(async function main() {
+  const date = getTargetDateFromArgs();
+  const beforeOff = argValue('before-off');
+  const label = beforeOff ? 'pre_off' : (argValue('label') || 'intraday');
+
+  const cardFile = `betfair-racecards-${date}.json`;
+  const cards = readJSON(cardFile);
+  if (!cards) {
+    console.error(`No racecards file for ${date}: ${cardFile}`);
+    process.exit(1);
+  }
+
+  const now = new Date();
+  const windowEnd = beforeOff ? new Date(now.getTime() + Number(beforeOff) * 60000) : null;
+  const targets = (cards.races || []).filter(race => {
+    if (!race.runners?.length || race._note === 'skipped_finished') return false;
+    const off = offTime(date, race.time);
+    if (!off || off <= now) return false;
+    if (!windowEnd) return true;
+    const alreadyRead = race.runners.some(r => (r.odds_history || []).some(h => h.label === 'pre_off'));
+    return off <= windowEnd && !alreadyRead;
+  });
+
+  if (!targets.length) {
+    console.log(`No races to read for ${date} (${label}).`);
+    return;
+  }
+  console.log(`Reading ${label} odds for ${targets.length} races…`);
+
+  const { browser, context } = await openBrowser();
+
+  let read = 0;
+  try {
+    await mapPool(targets, CONCURRENCY, async race => {
+      await new Promise(r => setTimeout(r, 300 + Math.floor(Math.random() * 300)));
+      const fresh = await readRunners(context, race);
+      if (!fresh) return;
+      recordOdds(race, fresh, { at: new Date().toISOString(), label, declaredAt: cards.scraped_at || null });
+      read++;
+      for (const r of race.runners) {
+        const mv = r.market_move;
+        if (mv?.flag) console.log(`  ${mv.flag === 'steamer' ? '🔥' : '🧊'} ${race.course} ${race.time} ${r.name}: ${mv.from} → ${mv.to} (${mv.basis})`);
+      }
+    });
+  } finally {
+    await browser.close();
+  }
+
+  await fs.writeFile(cardFile, JSON.stringify(cards, null, 2), 'utf8');
+  console.log(`Saved ${label} odds for ${read}/${targets.length} races → ${cardFile}`);
+
+  // carry the history onto the published picks for the same day
+  const picksFiles = [picksPathFor(date), path.join('docs', 'latest.json')];
+  for (const file of picksFiles) {
+    const picks = readJSON(file);
+    if (!picks || picks.date !== date) continue;
+    const moved = annotatePicks(picks, cards);
+    await fs.writeFile(file, JSON.stringify(picks, null, 2), 'utf8');
+    console.log(`Updated price moves on ${file} (${moved} significant)`);
+  }
+})().catch(err => {
+  console.error('ODDS TRACKING FAILED:', err?.message || err);
+  process.exit(1);
+});